@@ -0,0 +1,40 @@
+// mysql2 options for the database settings of lib/config.js
+
+// DB_SSL_MODE: "required" encrypts without checking the server certificate;
+// "verify-ca" also checks it was signed by DB_SSL_CA, but (as in MySQL's own
+// client) not that it names the host
+function sslOptions({ sslMode, sslCa }) {
+  if (sslMode === "disabled") return undefined;
+  if (sslMode === "required") return { rejectUnauthorized: false };
+  return {
+    ca: sslCa,
+    rejectUnauthorized: true,
+    checkServerIdentity: () => undefined,
+  };
+}
+
+function dbConfig(db) {
+  return {
+    host: db.host,
+    port: db.port,
+    user: db.user,
+    password: db.password,
+    database: db.database,
+    ssl: sslOptions(db),
+    connectTimeout: db.connectTimeoutMs,
+    waitForConnections: true,
+    connectionLimit: db.connectionLimit,
+    maxIdle: db.connectionLimit,
+    idleTimeout: db.idleTimeoutMs,
+    queueLimit: db.queueLimit,
+  };
+}
+
+// The same server, credentials and TLS without selecting the database, for
+// creating it before the first migration
+function initialDbConfig(db) {
+  const { database, ...config } = dbConfig(db);
+  return { ...config, connectionLimit: 1, maxIdle: 1 };
+}
+
+module.exports = { dbConfig, initialDbConfig };
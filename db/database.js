@@ -0,0 +1,88 @@
+const { createDatabaseMonitor } = require("./monitor");
+const { createUserRepository } = require("./repositories/users");
+const { createProjectRepository } = require("./repositories/projects");
+const { createStatisticsRepository } = require("./repositories/statistics");
+const { createTaskRepository } = require("./repositories/tasks");
+const { createMemberRepository } = require("./repositories/members");
+const { createActivityRepository } = require("./repositories/activity");
+const { createAuthRepository } = require("./repositories/auth");
+const { createSearchRepository } = require("./repositories/search");
+
+// Every repository, bound to one executor: the pool, where each query takes
+// whichever connection is free, or a single connection for a transaction
+function createRepositories(executor) {
+  return {
+    users: createUserRepository(executor),
+    projects: createProjectRepository(executor),
+    statistics: createStatisticsRepository(executor),
+    tasks: createTaskRepository(executor),
+    members: createMemberRepository(executor),
+    activity: createActivityRepository(executor),
+    auth: createAuthRepository(executor),
+    search: createSearchRepository(executor),
+  };
+}
+
+// `executor` with each execute() reported to `onQuery(sql, durationMs,
+// error)` once it settles; everything else is the executor's own
+function timed(executor, onQuery) {
+  if (!onQuery) return executor;
+
+  const timedExecutor = Object.create(executor);
+  timedExecutor.execute = async (sql, params) => {
+    const startedAt = process.hrtime.bigint();
+    let error = null;
+    try {
+      return await executor.execute(sql, params);
+    } catch (failure) {
+      error = failure;
+      throw failure;
+    } finally {
+      onQuery(
+        typeof sql === "string" ? sql : sql.sql,
+        Number(process.hrtime.bigint() - startedAt) / 1e6,
+        error
+      );
+    }
+  };
+  return timedExecutor;
+}
+
+// The data-access layer handed to createApp(): the repositories, transactions
+// across them and the monitor tracking whether the database can be used.
+// `logger` receives the monitor's connection events and `onQuery` the timing
+// of every statement the repositories run (see timed()).
+function createDatabase(pool, { logger, onQuery } = {}) {
+  return {
+    ...createRepositories(timed(pool, onQuery)),
+
+    // Run `work` with repositories bound to one connection inside a
+    // transaction, committing when it resolves and rolling back when it
+    // throws. Resolves with the result of `work`.
+    async transaction(work) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await work(
+          createRepositories(timed(connection, onQuery))
+        );
+        await connection.commit();
+        return result;
+      } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw error;
+      } finally {
+        connection.release();
+      }
+    },
+
+    monitor: createDatabaseMonitor(pool, { logger }),
+
+    async close() {
+      this.monitor.stop();
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { createDatabase, createRepositories };
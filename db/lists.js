@@ -0,0 +1,88 @@
+// Paginated lists. Each repository describes its lists as
+// `{ from, select, filters, dateColumn, sortColumns, defaultSort }`; filters
+// and sort columns are whitelisted there and only those column expressions
+// are ever interpolated into SQL.
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+// Far past any real list, but keeps the inlined OFFSET a plain integer
+const MAX_PAGE = 10000;
+
+// Turn a validated list query into SQL clauses
+function parseListQuery(query, list) {
+  const conditions = [];
+  const params = [];
+
+  for (const [name, filter] of Object.entries(list.filters)) {
+    if (query[name] === undefined) continue;
+    conditions.push(`${filter.column} = ?`);
+    params.push(query[name]);
+  }
+
+  if (query.created_from !== undefined) {
+    conditions.push(`${list.dateColumn} >= ?`);
+    params.push(query.created_from);
+  }
+  if (query.created_to !== undefined) {
+    // created_to is inclusive of the whole day
+    conditions.push(`${list.dateColumn} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(query.created_to);
+  }
+
+  const sort = query.sort || list.defaultSort;
+  const descending = sort.startsWith("-");
+  const sortColumn = list.sortColumns[descending ? sort.slice(1) : sort];
+  const direction = descending ? "DESC" : "ASC";
+
+  return {
+    page: query.page || 1,
+    perPage: query.per_page || DEFAULT_PER_PAGE,
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+    // Tie-break on id so rows never repeat or vanish between pages
+    orderBy: `${sortColumn} ${direction}, ${list.sortColumns.id} ${direction}`,
+  };
+}
+
+// Fetch one page of a list along with the total number of matching rows
+async function fetchPage(executor, list, listQuery) {
+  const { page, perPage, where, params, orderBy } = listQuery;
+
+  const [countRows] = await executor.execute(
+    `SELECT COUNT(*) as total FROM ${list.from} ${where}`,
+    params
+  );
+  // LIMIT/OFFSET are validated integers; inlined because MySQL rejects them
+  // as prepared statement parameters on some server versions
+  const [rows] = await executor.execute(
+    `SELECT ${list.select} FROM ${list.from} ${where}
+     ORDER BY ${orderBy}
+     LIMIT ${perPage} OFFSET ${(page - 1) * perPage}`,
+    params
+  );
+
+  return { rows, total: countRows[0].total };
+}
+
+// SQL for a whole list (after its filters and sort) with the given
+// `{ name: expression }` columns, for exports
+function listExportQuery(list, listQuery, columns) {
+  const { where, params, orderBy } = listQuery;
+  const select = Object.entries(columns)
+    .map(([column, expression]) => `${expression} as ${column}`)
+    .join(", ");
+
+  return {
+    sql: `SELECT ${select} FROM ${list.from} ${where} ORDER BY ${orderBy}`,
+    params,
+  };
+}
+
+module.exports = {
+  DEFAULT_PER_PAGE,
+  MAX_PER_PAGE,
+  MAX_PAGE,
+  parseListQuery,
+  fetchPage,
+  listExportQuery,
+};
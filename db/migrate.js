@@ -0,0 +1,79 @@
+// Usage: node db/migrate.js [up|rollback|status]
+const mysql = require("mysql2/promise");
+const { loadConfigOrExit } = require("../lib/config");
+const { dbConfig, initialDbConfig } = require("./config");
+const { getMigrationStatus, migrate, rollback } = require("./migrator");
+
+const config = loadConfigOrExit();
+
+async function createDatabaseIfMissing() {
+  const initialPool = mysql.createPool(initialDbConfig(config.db));
+  try {
+    await initialPool.query(
+      `CREATE DATABASE IF NOT EXISTS \`${config.db.database}\``
+    );
+  } finally {
+    await initialPool.end();
+  }
+}
+
+const commands = {
+  async up(connection) {
+    const applied = await migrate(connection);
+    if (applied.length === 0) {
+      console.log("✅ Database schema is already up to date");
+      return;
+    }
+    applied.forEach((version) => console.log(`✅ Applied ${version}`));
+  },
+
+  async rollback(connection) {
+    const version = await rollback(connection);
+    console.log(
+      version ? `↩️  Rolled back ${version}` : "ℹ️  No migrations to roll back"
+    );
+  },
+
+  async status(connection) {
+    const status = await getMigrationStatus(connection);
+    status.forEach(({ version, applied, applied_at }) => {
+      console.log(
+        applied
+          ? `✅ ${version} (applied ${new Date(applied_at).toISOString()})`
+          : `⏳ ${version} (pending)`
+      );
+    });
+  },
+};
+
+async function main() {
+  const command = process.argv[2] || "up";
+  if (!commands[command]) {
+    console.error(
+      `❌ Unknown command '${command}'. Use up, rollback or status`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  let pool;
+  try {
+    if (command === "up") {
+      await createDatabaseIfMissing();
+    }
+    pool = mysql.createPool(dbConfig(config.db));
+    const connection = await pool.getConnection();
+    try {
+      await commands[command](connection);
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`❌ Migration ${command} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    if (pool) await pool.end();
+  }
+}
+
+main();
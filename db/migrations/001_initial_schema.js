@@ -0,0 +1,43 @@
+// Users, projects and statistics tables as originally created by initDatabase.
+// IF NOT EXISTS lets databases that predate migrations adopt this version.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        role VARCHAR(50) DEFAULT 'user',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        status ENUM('planning', 'in-progress', 'completed') DEFAULT 'planning',
+        user_id INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Legacy: dashboard stats are computed on read, nothing writes here
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS statistics (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        metric_name VARCHAR(100) NOT NULL UNIQUE,
+        metric_value INT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("DROP TABLE IF EXISTS statistics");
+    await connection.execute("DROP TABLE IF EXISTS projects");
+    await connection.execute("DROP TABLE IF EXISTS users");
+  },
+};
@@ -0,0 +1,17 @@
+const { columnExists } = require("../migrator");
+
+// Lets users be deactivated without deleting them. Databases initialised
+// before migrations existed may already have the column.
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "users", "active"))) {
+      await connection.execute(
+        "ALTER TABLE users ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE AFTER role"
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.execute("ALTER TABLE users DROP COLUMN active");
+  },
+};
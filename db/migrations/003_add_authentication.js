@@ -0,0 +1,42 @@
+const { columnExists } = require("../migrator");
+
+// Password logins with browser sessions and bearer API tokens. Only hashes of
+// session and API tokens are stored.
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "users", "password_hash"))) {
+      await connection.execute(
+        "ALTER TABLE users ADD COLUMN password_hash VARCHAR(255) NULL AFTER email"
+      );
+    }
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        user_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_sessions_user_id (user_id)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        last_used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_api_tokens_user_id (user_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("DROP TABLE IF EXISTS api_tokens");
+    await connection.execute("DROP TABLE IF EXISTS sessions");
+    await connection.execute("ALTER TABLE users DROP COLUMN password_hash");
+  },
+};
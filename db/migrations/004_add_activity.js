@@ -0,0 +1,24 @@
+// Audit trail of project changes. project_id deliberately has no foreign key
+// and the title is copied, so a project's history outlives the project.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS activity (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        project_title VARCHAR(200) NOT NULL,
+        actor_id INT NULL,
+        action ENUM('created', 'updated', 'status_changed', 'deleted') NOT NULL,
+        before_values JSON NULL,
+        after_values JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_activity_project_id (project_id),
+        INDEX idx_activity_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("DROP TABLE IF EXISTS activity");
+  },
+};
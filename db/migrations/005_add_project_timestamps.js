@@ -0,0 +1,23 @@
+const { columnExists } = require("../migrator");
+
+// When a project was started and completed, set by status transitions and
+// used for cycle time. Existing projects have no history, so both stay NULL.
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "projects", "started_at"))) {
+      await connection.execute(
+        "ALTER TABLE projects ADD COLUMN started_at DATETIME NULL AFTER status"
+      );
+    }
+    if (!(await columnExists(connection, "projects", "completed_at"))) {
+      await connection.execute(
+        "ALTER TABLE projects ADD COLUMN completed_at DATETIME NULL AFTER started_at"
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.execute("ALTER TABLE projects DROP COLUMN completed_at");
+    await connection.execute("ALTER TABLE projects DROP COLUMN started_at");
+  },
+};
@@ -0,0 +1,24 @@
+// Tasks under a project. Like the other tables there are no foreign keys:
+// the API removes a project's tasks with it and unassigns a deleted user's.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        assignee_id INT NULL,
+        status ENUM('todo', 'in-progress', 'done') NOT NULL DEFAULT 'todo',
+        priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'medium',
+        due_date DATE NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_tasks_project_id (project_id, status),
+        INDEX idx_tasks_assignee_id (assignee_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("DROP TABLE IF EXISTS tasks");
+  },
+};
@@ -0,0 +1,25 @@
+// Project membership with a role per member. projects.user_id stays as the
+// project's primary owner and is backfilled as an "owner" member.
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS project_members (
+        project_id INT NOT NULL,
+        user_id INT NOT NULL,
+        role ENUM('owner', 'contributor', 'viewer') NOT NULL DEFAULT 'contributor',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, user_id),
+        INDEX idx_project_members_user_id (user_id)
+      )
+    `);
+
+    await connection.execute(`
+      INSERT IGNORE INTO project_members (project_id, user_id, role)
+      SELECT id, user_id, 'owner' FROM projects WHERE user_id IS NOT NULL
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("DROP TABLE IF EXISTS project_members");
+  },
+};
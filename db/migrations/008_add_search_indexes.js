@@ -0,0 +1,29 @@
+const { indexExists } = require("../migrator");
+
+// FULLTEXT indexes behind GET /api/search
+const INDEXES = [
+  {
+    table: "projects",
+    name: "ft_projects_search",
+    columns: "title, description",
+  },
+  { table: "users", name: "ft_users_search", columns: "name, email" },
+];
+
+module.exports = {
+  async up(connection) {
+    for (const { table, name, columns } of INDEXES) {
+      if (!(await indexExists(connection, table, name))) {
+        await connection.execute(
+          `ALTER TABLE ${table} ADD FULLTEXT INDEX ${name} (${columns})`
+        );
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const { table, name } of INDEXES) {
+      await connection.execute(`ALTER TABLE ${table} DROP INDEX ${name}`);
+    }
+  },
+};
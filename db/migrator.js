@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Migration files are named NNN_description.js and applied in that order
+const MIGRATION_FILE_PATTERN = /^\d+_[\w-]+\.js$/;
+
+// Load every migration module, sorted by version
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (
+        typeof migration.up !== "function" ||
+        typeof migration.down !== "function"
+      ) {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: path.basename(file, ".js"), ...migration };
+    });
+}
+
+async function tableExists(connection, table) {
+  const [rows] = await connection.execute(
+    `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.execute(
+    `SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Applied versions mapped to when they were applied. Read-only, so it is
+// safe to call before the tracking table exists.
+async function getAppliedMigrations(connection) {
+  const applied = new Map();
+  if (!(await tableExists(connection, "schema_migrations"))) {
+    return applied;
+  }
+
+  const [rows] = await connection.execute(
+    "SELECT version, applied_at FROM schema_migrations ORDER BY version"
+  );
+  rows.forEach((row) => applied.set(row.version, row.applied_at));
+  return applied;
+}
+
+async function getMigrationStatus(connection) {
+  const applied = await getAppliedMigrations(connection);
+  return loadMigrations().map(({ version }) => ({
+    version,
+    applied: applied.has(version),
+    applied_at: applied.get(version) || null,
+  }));
+}
+
+async function getPendingMigrations(connection) {
+  const applied = await getAppliedMigrations(connection);
+  return loadMigrations().filter(({ version }) => !applied.has(version));
+}
+
+// Apply every pending migration in order, returning the versions applied.
+// MySQL commits DDL implicitly, so each version is recorded as soon as its
+// up() succeeds and a failure leaves earlier versions applied.
+async function migrate(connection) {
+  await ensureMigrationsTable(connection);
+
+  const appliedVersions = [];
+  for (const migration of await getPendingMigrations(connection)) {
+    await migration.up(connection);
+    await connection.execute(
+      "INSERT INTO schema_migrations (version) VALUES (?)",
+      [migration.version]
+    );
+    appliedVersions.push(migration.version);
+  }
+  return appliedVersions;
+}
+
+// Revert the most recently applied migration, returning its version or null
+async function rollback(connection) {
+  const applied = await getAppliedMigrations(connection);
+  const latest = [...applied.keys()].pop();
+  if (!latest) {
+    return null;
+  }
+
+  const migration = loadMigrations().find(({ version }) => version === latest);
+  if (!migration) {
+    throw new Error(`Migration file for applied version ${latest} is missing`);
+  }
+
+  await migration.down(connection);
+  await connection.execute("DELETE FROM schema_migrations WHERE version = ?", [
+    latest,
+  ]);
+  return latest;
+}
+
+module.exports = {
+  loadMigrations,
+  tableExists,
+  columnExists,
+  indexExists,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate,
+  rollback,
+};
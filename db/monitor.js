@@ -0,0 +1,157 @@
+const { getPendingMigrations, loadMigrations } = require("./migrator");
+const { createLogger } = require("../lib/logger");
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+const HEARTBEAT_MS = 10000;
+
+// Tracks whether the database can serve requests. Failed connections are
+// retried in the background with exponential backoff, and a heartbeat
+// notices outages (and newly applied migrations) while the app is running.
+function createDatabaseMonitor(pool, { logger = createLogger() } = {}) {
+  const state = {
+    up: false,
+    lastError: null,
+    lastCheckedAt: null,
+    latencyMs: null,
+    pendingMigrations: [],
+  };
+
+  let retryDelay = INITIAL_RETRY_MS;
+  let retryAt = null;
+  let retryTimer = null;
+  let heartbeatTimer = null;
+
+  // Ping the database and refresh the list of pending migrations
+  async function check() {
+    const startedAt = Date.now();
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.ping();
+      state.pendingMigrations = (await getPendingMigrations(connection)).map(
+        ({ version }) => version
+      );
+    } catch (error) {
+      // The server is reachable but `npm run migrate` never created the
+      // database, so every migration is pending
+      if (error.code !== "ER_BAD_DB_ERROR") throw error;
+      state.pendingMigrations = loadMigrations().map(({ version }) => version);
+    } finally {
+      if (connection) connection.release();
+      state.lastCheckedAt = new Date();
+    }
+    state.latencyMs = Date.now() - startedAt;
+  }
+
+  function scheduleReconnect() {
+    if (retryTimer) return;
+
+    logger.info("Retrying database connection", {
+      retry_in_ms: retryDelay,
+    });
+    retryAt = Date.now() + retryDelay;
+    retryTimer = setTimeout(connect, retryDelay);
+    retryTimer.unref();
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  }
+
+  function startHeartbeat() {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(() => {
+      check().catch(markDown);
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+
+  function markDown(error) {
+    if (state.up) {
+      logger.error("Lost database connection", { error });
+    }
+    state.up = false;
+    state.lastError = error.message;
+
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    scheduleReconnect();
+  }
+
+  async function connect() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryAt = null;
+
+    try {
+      await check();
+
+      const reconnected = !state.up;
+      state.up = true;
+      state.lastError = null;
+      retryDelay = INITIAL_RETRY_MS;
+      startHeartbeat();
+
+      if (reconnected) logger.info("Connected to database");
+    } catch (error) {
+      markDown(error);
+    }
+  }
+
+  return {
+    state,
+
+    // First connection attempt; resolves once it has succeeded or failed
+    start: connect,
+
+    // Ping now (used by the readiness probe), marking the database down on
+    // failure. Resolves with whether it is reachable.
+    async probe() {
+      try {
+        await check();
+        if (!state.up) await connect();
+        return true;
+      } catch (error) {
+        markDown(error);
+        return false;
+      }
+    },
+
+    // Reachable and running the schema this code expects
+    isAvailable() {
+      return state.up && state.pendingMigrations.length === 0;
+    },
+
+    // Seconds until the next reconnection attempt, for Retry-After
+    retryAfterSeconds() {
+      return retryAt
+        ? Math.max(1, Math.ceil((retryAt - Date.now()) / 1000))
+        : Math.ceil(HEARTBEAT_MS / 1000);
+    },
+
+    // Connection counts from the underlying mysql2 pool
+    poolStats() {
+      const { config, _allConnections, _freeConnections, _connectionQueue } =
+        pool.pool;
+      const total = _allConnections.length;
+      const idle = _freeConnections.length;
+      const queued = _connectionQueue.length;
+      return {
+        limit: config.connectionLimit,
+        total,
+        active: total - idle,
+        idle,
+        queued,
+        saturated: total - idle >= config.connectionLimit && queued > 0,
+      };
+    },
+
+    stop() {
+      clearTimeout(retryTimer);
+      clearInterval(heartbeatTimer);
+      retryTimer = null;
+      heartbeatTimer = null;
+    },
+  };
+}
+
+module.exports = { createDatabaseMonitor };
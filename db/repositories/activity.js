@@ -0,0 +1,70 @@
+const { fetchPage } = require("../lists");
+const {
+  ACTIVITY_ACTIONS,
+  createdEntry,
+  updatedEntry,
+  deletedEntry,
+} = require("../../lib/activity");
+
+const ACTIVITY_LIST = {
+  from: "activity a LEFT JOIN users u ON a.actor_id = u.id",
+  select:
+    "a.id, a.project_id, a.project_title, a.action, a.actor_id, u.name as actor_name, a.before_values, a.after_values, a.created_at",
+  filters: {
+    project_id: { column: "a.project_id", rule: { type: "integer", min: 1 } },
+    actor_id: { column: "a.actor_id", rule: { type: "integer", min: 1 } },
+    action: {
+      column: "a.action",
+      rule: { type: "string", enum: ACTIVITY_ACTIONS },
+    },
+  },
+  dateColumn: "a.created_at",
+  sortColumns: {
+    id: "a.id",
+    created_at: "a.created_at",
+  },
+  defaultSort: "-id",
+};
+
+// The project activity log (see lib/activity.js). Records are written with
+// the same executor as the change they describe, i.e. inside its transaction.
+function createActivityRepository(executor) {
+  // The title is the project's new one when the entry renames it
+  async function record(project, actor, { action, before, after }) {
+    await executor.execute(
+      `INSERT INTO activity
+         (project_id, project_title, actor_id, action, before_values, after_values)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        project.id,
+        (after && after.title) || project.title,
+        actor ? actor.id : null,
+        action,
+        before && JSON.stringify(before),
+        after && JSON.stringify(after),
+      ]
+    );
+  }
+
+  return {
+    list(listQuery) {
+      return fetchPage(executor, ACTIVITY_LIST, listQuery);
+    },
+
+    recordCreated(project, actor) {
+      return record(project, actor, createdEntry(project));
+    },
+
+    // Records nothing when the update didn't change a tracked field
+    async recordUpdated(before, after, actor) {
+      const entry = updatedEntry(before, after);
+      if (entry) await record(before, actor, entry);
+    },
+
+    recordDeleted(project, actor) {
+      return record(project, actor, deletedEntry(project));
+    },
+  };
+}
+
+module.exports = { ACTIVITY_LIST, createActivityRepository };
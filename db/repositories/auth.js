@@ -0,0 +1,108 @@
+const {
+  SESSION_TTL_MS,
+  verifyPassword,
+  generateToken,
+  hashToken,
+} = require("../../lib/auth");
+
+// Sessions and API tokens (see lib/auth.js). Only the SHA-256 of a session id
+// or token is stored.
+function createAuthRepository(executor) {
+  return {
+    // Look up an active user by email and password, or null. A password is
+    // hashed even when no user matches (see verifyPassword()), so an unknown
+    // email fails as slowly as a wrong password.
+    async findUserByCredentials(email, password) {
+      const [users] = await executor.execute(
+        "SELECT id, name, email, role, password_hash FROM users WHERE email = ? AND active = TRUE",
+        [email]
+      );
+      const { password_hash: passwordHash = null, ...user } = users[0] || {};
+      return (await verifyPassword(password, passwordHash)) ? user : null;
+    },
+
+    // Resolve a session cookie or bearer token to its active user, or null
+    async findUserByToken({ sessionToken, apiToken }) {
+      if (apiToken) {
+        const [rows] = await executor.execute(
+          `SELECT t.id as token_id, u.id, u.name, u.email, u.role
+           FROM api_tokens t JOIN users u ON t.user_id = u.id
+           WHERE t.token_hash = ? AND u.active = TRUE`,
+          [hashToken(apiToken)]
+        );
+        if (rows.length === 0) return null;
+
+        const { token_id: tokenId, ...user } = rows[0];
+        await executor.execute(
+          "UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?",
+          [tokenId]
+        );
+        return user;
+      }
+
+      if (sessionToken) {
+        const [rows] = await executor.execute(
+          `SELECT u.id, u.name, u.email, u.role
+           FROM sessions s JOIN users u ON s.user_id = u.id
+           WHERE s.token_hash = ? AND s.expires_at > NOW() AND u.active = TRUE`,
+          [hashToken(sessionToken)]
+        );
+        return rows[0] || null;
+      }
+
+      return null;
+    },
+
+    async createSession(userId) {
+      const token = generateToken();
+      const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+      await executor.execute(
+        "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)",
+        [hashToken(token), userId, expiresAt]
+      );
+      return { token, expiresAt };
+    },
+
+    async deleteSession(token) {
+      await executor.execute("DELETE FROM sessions WHERE token_hash = ?", [
+        hashToken(token),
+      ]);
+    },
+
+    // Sign a user out everywhere except the given session (if any)
+    async deleteOtherSessions(userId, keepToken) {
+      await executor.execute(
+        "DELETE FROM sessions WHERE user_id = ? AND token_hash <> ?",
+        [userId, keepToken ? hashToken(keepToken) : ""]
+      );
+    },
+
+    async createApiToken(userId, name) {
+      const token = generateToken();
+      const [result] = await executor.execute(
+        "INSERT INTO api_tokens (token_hash, user_id, name) VALUES (?, ?, ?)",
+        [hashToken(token), userId, name]
+      );
+      return { id: result.insertId, token };
+    },
+
+    async listApiTokens(userId) {
+      const [tokens] = await executor.execute(
+        "SELECT id, name, last_used_at, created_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC",
+        [userId]
+      );
+      return tokens;
+    },
+
+    // Resolves to false when the user has no such token
+    async deleteApiToken(id, userId) {
+      const [result] = await executor.execute(
+        "DELETE FROM api_tokens WHERE id = ? AND user_id = ?",
+        [id, userId]
+      );
+      return result.affectedRows > 0;
+    },
+  };
+}
+
+module.exports = { createAuthRepository };
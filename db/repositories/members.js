@@ -0,0 +1,67 @@
+// Project memberships (see lib/members.js)
+function createMemberRepository(executor) {
+  async function set(projectId, userId, role) {
+    await executor.execute(
+      `INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+      [projectId, userId, role]
+    );
+  }
+
+  return {
+    async list(projectId) {
+      const [members] = await executor.execute(
+        `SELECT m.user_id, u.name, u.email, m.role, m.created_at as joined_at
+         FROM project_members m
+         JOIN users u ON u.id = m.user_id
+         WHERE m.project_id = ?
+         ORDER BY FIELD(m.role, 'owner', 'contributor', 'viewer'), u.name`,
+        [projectId]
+      );
+      return members;
+    },
+
+    // Rejects with ER_DUP_ENTRY when the user is already a member
+    async add(projectId, userId, role) {
+      await executor.execute(
+        "INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)",
+        [projectId, userId, role]
+      );
+    },
+
+    // Add or update a membership
+    set,
+
+    // Make `toUserId` the project's owner member. The previous owner stays on
+    // the project as a contributor.
+    async transferOwnership(projectId, fromUserId, toUserId) {
+      if (fromUserId && fromUserId !== toUserId) {
+        await executor.execute(
+          "UPDATE project_members SET role = 'contributor' WHERE project_id = ? AND user_id = ?",
+          [projectId, fromUserId]
+        );
+      }
+      await set(projectId, toUserId, "owner");
+    },
+
+    // Resolves to false when the user isn't a member
+    async updateRole(projectId, userId, role) {
+      const [result] = await executor.execute(
+        "UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?",
+        [role, projectId, userId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Resolves to false when the user isn't a member
+    async remove(projectId, userId) {
+      const [result] = await executor.execute(
+        "DELETE FROM project_members WHERE project_id = ? AND user_id = ?",
+        [projectId, userId]
+      );
+      return result.affectedRows > 0;
+    },
+  };
+}
+
+module.exports = { createMemberRepository };
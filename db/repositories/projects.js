@@ -0,0 +1,217 @@
+const { fetchPage, listExportQuery } = require("../lists");
+const { streamQuery } = require("../streams");
+const { MEMBER_ROLES } = require("../../lib/members");
+const { PROJECT_STATUSES, STATUS_TIMESTAMPS } = require("../../lib/workflow");
+
+// SQL for each STATUS_TIMESTAMPS action on a timestamp column
+const TIMESTAMP_ASSIGNMENTS = {
+  now: (column) => `${column} = NOW()`,
+  keep: (column) => `${column} = COALESCE(${column}, NOW())`,
+  clear: (column) => `${column} = NULL`,
+};
+
+// The assignments stamping a project for the status it enters
+function statusTimestamps(status) {
+  return Object.entries(STATUS_TIMESTAMPS[status]).map(([column, action]) =>
+    TIMESTAMP_ASSIGNMENTS[action](column)
+  );
+}
+
+// Team size and task progress for a project aliased `p`. Completion is the
+// share of its tasks that are done, and NULL for a project without tasks.
+const PROJECT_SUMMARY_COLUMNS = `
+  (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.id) as member_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id) as task_count,
+  (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.status = 'done') as tasks_done,
+  (SELECT CAST(ROUND(100 * SUM(t.status = 'done') / COUNT(*)) AS UNSIGNED)
+     FROM tasks t WHERE t.project_id = p.id) as completion_percent`;
+
+const PROJECT_LIST = {
+  from: "projects p JOIN users u ON p.user_id = u.id",
+  select: `p.*, u.name as user_name,
+    TIMESTAMPDIFF(SECOND, p.started_at, p.completed_at) as cycle_time_seconds,
+    ${PROJECT_SUMMARY_COLUMNS}`,
+  filters: {
+    status: {
+      column: "p.status",
+      rule: { type: "string", enum: PROJECT_STATUSES },
+    },
+    user_id: { column: "p.user_id", rule: { type: "integer", min: 1 } },
+  },
+  dateColumn: "p.created_at",
+  sortColumns: {
+    id: "p.id",
+    title: "p.title",
+    status: "p.status",
+    created_at: "p.created_at",
+  },
+  defaultSort: "-created_at",
+};
+
+// Projects a user belongs to, with their role on each
+const USER_PROJECT_LIST = {
+  from: `project_members m
+    JOIN projects p ON p.id = m.project_id
+    JOIN users u ON p.user_id = u.id`,
+  select: `${PROJECT_LIST.select}, m.role as member_role`,
+  filters: {
+    user_id: { column: "m.user_id", rule: { type: "integer", min: 1 } },
+    role: { column: "m.role", rule: { type: "string", enum: MEMBER_ROLES } },
+    status: PROJECT_LIST.filters.status,
+  },
+  dateColumn: "p.created_at",
+  sortColumns: PROJECT_LIST.sortColumns,
+  defaultSort: PROJECT_LIST.defaultSort,
+};
+
+// Columns written by the export endpoint, in file order
+const PROJECT_EXPORT_COLUMNS = {
+  id: "p.id",
+  title: "p.title",
+  description: "p.description",
+  status: "p.status",
+  user_id: "p.user_id",
+  owner_name: "u.name",
+  owner_email: "u.email",
+  started_at: "p.started_at",
+  completed_at: "p.completed_at",
+  created_at: "p.created_at",
+};
+
+// Projects table access. `executor` is the pool, or a connection inside a
+// transaction (see db/database.js).
+function createProjectRepository(executor) {
+  return {
+    list(listQuery) {
+      return fetchPage(executor, PROJECT_LIST, listQuery);
+    },
+
+    // A user's projects; the query must carry its user_id
+    listForMember(listQuery) {
+      return fetchPage(executor, USER_PROJECT_LIST, listQuery);
+    },
+
+    // The export's column names and its rows as an object stream; not
+    // available inside a transaction
+    async exportRows(listQuery) {
+      const { sql, params } = listExportQuery(
+        PROJECT_LIST,
+        listQuery,
+        PROJECT_EXPORT_COLUMNS
+      );
+      return {
+        columns: Object.keys(PROJECT_EXPORT_COLUMNS),
+        rows: await streamQuery(executor, sql, params),
+      };
+    },
+
+    // Newest projects for the home page
+    async recent(limit) {
+      const [projects] = await executor.execute(`
+        SELECT p.*, u.name as user_name, ${PROJECT_SUMMARY_COLUMNS}
+        FROM projects p
+        JOIN users u ON p.user_id = u.id
+        ORDER BY p.created_at DESC
+        LIMIT ${Number(limit)}
+      `);
+      return projects;
+    },
+
+    // One project with its owner's name, as returned by the API
+    async find(id) {
+      const [projects] = await executor.execute(
+        `
+          SELECT p.*, u.name as user_name,
+            TIMESTAMPDIFF(SECOND, p.started_at, p.completed_at) as cycle_time_seconds,
+            ${PROJECT_SUMMARY_COLUMNS}
+          FROM projects p
+          LEFT JOIN users u ON p.user_id = u.id
+          WHERE p.id = ?
+        `,
+        [id]
+      );
+      return projects[0] || null;
+    },
+
+    // A project row with `member_role`, the user's membership role on it, for
+    // permission checks. `lock` selects it FOR UPDATE inside a transaction.
+    async findForUser(id, user, { lock = false } = {}) {
+      const [projects] = await executor.execute(
+        `SELECT p.*, m.role as member_role
+         FROM projects p
+         LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = ?
+         WHERE p.id = ?${lock ? " FOR UPDATE" : ""}`,
+        [user.id, id]
+      );
+      return projects[0] || null;
+    },
+
+    async exists(id) {
+      const [projects] = await executor.execute(
+        "SELECT id FROM projects WHERE id = ?",
+        [id]
+      );
+      return projects.length > 0;
+    },
+
+    // Every project a user owns, locked for a transfer
+    async findOwnedBy(userId) {
+      const [projects] = await executor.execute(
+        "SELECT * FROM projects WHERE user_id = ? FOR UPDATE",
+        [userId]
+      );
+      return projects;
+    },
+
+    // A project created past planning (by an import) is stamped as though
+    // it had been moved there through the workflow
+    async create({ title, description, status = "planning", user_id }) {
+      const [result] = await executor.execute(
+        "INSERT INTO projects (title, description, status, user_id) VALUES (?, ?, ?, ?)",
+        [title, description, status, user_id]
+      );
+      if (status !== "planning") {
+        await executor.execute(
+          `UPDATE projects SET ${statusTimestamps(status).join(
+            ", "
+          )} WHERE id = ?`,
+          [result.insertId]
+        );
+      }
+      return result.insertId;
+    },
+
+    // Update the given columns. `statusChanged` also stamps started_at and
+    // completed_at for the status being entered.
+    async update(id, values, { statusChanged = false } = {}) {
+      const columns = Object.keys(values);
+      const assignments = [
+        ...columns.map((column) => `${column} = ?`),
+        ...(statusChanged ? statusTimestamps(values.status) : []),
+      ];
+      await executor.execute(
+        `UPDATE projects SET ${assignments.join(", ")} WHERE id = ?`,
+        [...columns.map((column) => values[column]), id]
+      );
+    },
+
+    async reassignAll(fromUserId, toUserId) {
+      await executor.execute(
+        "UPDATE projects SET user_id = ? WHERE user_id = ?",
+        [toUserId, fromUserId]
+      );
+    },
+
+    // Delete a project along with its tasks and memberships
+    async remove(id) {
+      await executor.execute("DELETE FROM tasks WHERE project_id = ?", [id]);
+      await executor.execute(
+        "DELETE FROM project_members WHERE project_id = ?",
+        [id]
+      );
+      await executor.execute("DELETE FROM projects WHERE id = ?", [id]);
+    },
+  };
+}
+
+module.exports = { PROJECT_LIST, USER_PROJECT_LIST, createProjectRepository };
@@ -0,0 +1,45 @@
+const {
+  SEARCH_TYPES,
+  searchTerms,
+  booleanQuery,
+  searchResults,
+} = require("../../lib/search");
+
+// One statement per type, ranked by MATCH() score
+const SEARCH_STATEMENTS = {
+  project: `SELECT id, title, description, status,
+              MATCH(title, description) AGAINST (? IN BOOLEAN MODE) as score
+            FROM projects
+            WHERE MATCH(title, description) AGAINST (? IN BOOLEAN MODE)`,
+  user: `SELECT id, name, email, role,
+           MATCH(name, email) AGAINST (? IN BOOLEAN MODE) as score
+         FROM users
+         WHERE MATCH(name, email) AGAINST (? IN BOOLEAN MODE)`,
+};
+
+// Full-text search (see lib/search.js)
+function createSearchRepository(executor) {
+  return {
+    // The best `limit` results across `types`
+    async find(query, { types = SEARCH_TYPES, limit }) {
+      const terms = searchTerms(query);
+      if (terms.length === 0) return [];
+
+      const against = booleanQuery(terms);
+      const results = [];
+
+      for (const type of types) {
+        // LIMIT is a validated integer, inlined like the list endpoints'
+        const [rows] = await executor.execute(
+          `${SEARCH_STATEMENTS[type]} ORDER BY score DESC, id LIMIT ${limit}`,
+          [against, against]
+        );
+        results.push(...searchResults(type, rows, terms));
+      }
+
+      return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+  };
+}
+
+module.exports = { createSearchRepository };
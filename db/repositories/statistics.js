@@ -0,0 +1,28 @@
+// Dashboard counters, computed from users and projects on every read so they
+// can never drift from the data they describe
+function createStatisticsRepository(executor) {
+  return {
+    async summary() {
+      const [rows] = await executor.execute(`
+        SELECT
+          (SELECT COUNT(*) FROM users) as total_users,
+          (SELECT COUNT(*) FROM projects) as total_projects,
+          (SELECT COUNT(*) FROM projects WHERE status = 'completed') as completed_projects,
+          (SELECT COUNT(*) FROM projects WHERE status = 'in-progress') as active_projects
+      `);
+      return rows[0];
+    },
+
+    // Number of users with each role
+    async roleCounts() {
+      const [rows] = await executor.execute(`
+        SELECT role, COUNT(*) as count
+        FROM users
+        GROUP BY role
+      `);
+      return rows;
+    },
+  };
+}
+
+module.exports = { createStatisticsRepository };
@@ -0,0 +1,82 @@
+const { fetchPage } = require("../lists");
+
+const TASK_STATUSES = ["todo", "in-progress", "done"];
+const TASK_PRIORITIES = ["low", "medium", "high"];
+
+const TASK_LIST = {
+  from: "tasks t LEFT JOIN users u ON t.assignee_id = u.id",
+  select: "t.*, u.name as assignee_name",
+  filters: {
+    project_id: { column: "t.project_id", rule: { type: "integer", min: 1 } },
+    status: {
+      column: "t.status",
+      rule: { type: "string", enum: TASK_STATUSES },
+    },
+    priority: {
+      column: "t.priority",
+      rule: { type: "string", enum: TASK_PRIORITIES },
+    },
+    assignee_id: { column: "t.assignee_id", rule: { type: "integer", min: 1 } },
+  },
+  dateColumn: "t.created_at",
+  sortColumns: {
+    id: "t.id",
+    title: "t.title",
+    status: "t.status",
+    priority: "t.priority",
+    due_date: "t.due_date",
+    created_at: "t.created_at",
+  },
+  defaultSort: "id",
+};
+
+function createTaskRepository(executor) {
+  return {
+    // A project's tasks; the query must carry its project_id
+    list(listQuery) {
+      return fetchPage(executor, TASK_LIST, listQuery);
+    },
+
+    async find(projectId, taskId) {
+      const [tasks] = await executor.execute(
+        `SELECT ${TASK_LIST.select} FROM ${TASK_LIST.from}
+         WHERE t.project_id = ? AND t.id = ?`,
+        [projectId, taskId]
+      );
+      return tasks[0] || null;
+    },
+
+    async create(
+      projectId,
+      { title, assignee_id, status, priority, due_date }
+    ) {
+      const [result] = await executor.execute(
+        `INSERT INTO tasks (project_id, title, assignee_id, status, priority, due_date)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [projectId, title, assignee_id, status, priority, due_date]
+      );
+      return result.insertId;
+    },
+
+    async update(id, values) {
+      const columns = Object.keys(values);
+      await executor.execute(
+        `UPDATE tasks SET ${columns
+          .map((column) => `${column} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...columns.map((column) => values[column]), id]
+      );
+    },
+
+    async remove(id) {
+      await executor.execute("DELETE FROM tasks WHERE id = ?", [id]);
+    },
+  };
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_LIST,
+  createTaskRepository,
+};
@@ -0,0 +1,148 @@
+const { fetchPage, listExportQuery } = require("../lists");
+const { streamQuery } = require("../streams");
+
+const USER_LIST = {
+  from: "users",
+  select: "id, name, email, role, active, created_at",
+  filters: {
+    role: { column: "role", rule: { type: "string", maxLength: 50 } },
+    active: { column: "active", rule: { type: "boolean" } },
+  },
+  dateColumn: "created_at",
+  sortColumns: {
+    id: "id",
+    name: "name",
+    email: "email",
+    role: "role",
+    created_at: "created_at",
+  },
+  defaultSort: "id",
+};
+
+// Columns written by the export endpoint, in file order
+const USER_EXPORT_COLUMNS = {
+  id: "id",
+  name: "name",
+  email: "email",
+  role: "role",
+  active: "active",
+  created_at: "created_at",
+};
+
+// Users table access. `executor` is the pool, or a connection inside a
+// transaction (see db/database.js).
+function createUserRepository(executor) {
+  return {
+    list(listQuery) {
+      return fetchPage(executor, USER_LIST, listQuery);
+    },
+
+    // The export's column names and its rows as an object stream; not
+    // available inside a transaction
+    async exportRows(listQuery) {
+      const { sql, params } = listExportQuery(
+        USER_LIST,
+        listQuery,
+        USER_EXPORT_COLUMNS
+      );
+      return {
+        columns: Object.keys(USER_EXPORT_COLUMNS),
+        rows: await streamQuery(executor, sql, params),
+      };
+    },
+
+    async find(id) {
+      const [users] = await executor.execute(
+        "SELECT id, name, email, role, active, created_at FROM users WHERE id = ?",
+        [id]
+      );
+      return users[0] || null;
+    },
+
+    async exists(id, { lock = false } = {}) {
+      const [rows] = await executor.execute(
+        `SELECT id FROM users WHERE id = ?${lock ? " FOR UPDATE" : ""}`,
+        [id]
+      );
+      return rows.length > 0;
+    },
+
+    // Which of `ids` belong to a user
+    async existingIds(ids) {
+      if (ids.length === 0) return new Set();
+      const [rows] = await executor.execute(
+        `SELECT id FROM users WHERE id IN (${ids.map(() => "?").join(", ")})`,
+        ids
+      );
+      return new Set(rows.map((row) => row.id));
+    },
+
+    // User ids by lowercased email, for the given emails that have a user
+    async idsByEmail(emails) {
+      const ids = new Map();
+      if (emails.length === 0) return ids;
+      const [rows] = await executor.execute(
+        `SELECT id, email FROM users WHERE email IN (${emails
+          .map(() => "?")
+          .join(", ")})`,
+        emails
+      );
+      rows.forEach((row) => ids.set(row.email.toLowerCase(), row.id));
+      return ids;
+    },
+
+    async create({ name, email, role, passwordHash }) {
+      const [result] = await executor.execute(
+        "INSERT INTO users (name, email, password_hash, role) VALUES (?, ?, ?, ?)",
+        [name, email, passwordHash, role]
+      );
+      return result.insertId;
+    },
+
+    // Update the given columns; resolves to false when there is no such user
+    async update(id, values) {
+      const columns = Object.keys(values);
+      const [result] = await executor.execute(
+        `UPDATE users SET ${columns
+          .map((column) => `${column} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...columns.map((column) => values[column]), id]
+      );
+      return result.affectedRows > 0;
+    },
+
+    async findPasswordHash(id) {
+      const [users] = await executor.execute(
+        "SELECT password_hash FROM users WHERE id = ?",
+        [id]
+      );
+      return users.length > 0 ? users[0].password_hash : null;
+    },
+
+    async setPasswordHash(id, passwordHash) {
+      await executor.execute(
+        "UPDATE users SET password_hash = ? WHERE id = ?",
+        [passwordHash, id]
+      );
+    },
+
+    // Delete a user along with their memberships, sessions and API tokens,
+    // unassigning their tasks. No credential may outlive its user: a later
+    // user could be given the same id. Projects they own must have been
+    // reassigned first.
+    async remove(id) {
+      await executor.execute(
+        "UPDATE tasks SET assignee_id = NULL WHERE assignee_id = ?",
+        [id]
+      );
+      await executor.execute("DELETE FROM sessions WHERE user_id = ?", [id]);
+      await executor.execute("DELETE FROM api_tokens WHERE user_id = ?", [id]);
+      await executor.execute("DELETE FROM project_members WHERE user_id = ?", [
+        id,
+      ]);
+      await executor.execute("DELETE FROM users WHERE id = ?", [id]);
+    },
+  };
+}
+
+module.exports = { USER_LIST, createUserRepository };
@@ -0,0 +1,39 @@
+// Usage: node db/seed.js [fixture set], defaults to "demo"
+const mysql = require("mysql2/promise");
+const { loadConfigOrExit } = require("../lib/config");
+const { dbConfig } = require("./config");
+const { listFixtureSets, seed } = require("./seeder");
+
+async function main() {
+  const name = process.argv[2] || "demo";
+  if (!listFixtureSets().includes(name)) {
+    console.error(
+      `❌ Unknown fixture set '${name}'. Available: ${listFixtureSets().join(
+        ", "
+      )}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  let pool;
+  try {
+    pool = mysql.createPool(dbConfig(loadConfigOrExit().db));
+    const connection = await pool.getConnection();
+    try {
+      const inserted = await seed(connection, name);
+      console.log(
+        `✅ Seeded '${name}': ${inserted.users} user(s), ${inserted.projects} project(s) and ${inserted.tasks} task(s) added`
+      );
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    console.error(`❌ Seeding '${name}' failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    if (pool) await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const { hashPassword } = require("../lib/auth");
+const { createMemberRepository } = require("./repositories/members");
+
+const SEEDS_DIR = path.join(__dirname, "seeds");
+
+function listFixtureSets() {
+  return fs
+    .readdirSync(SEEDS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => path.basename(file, ".js"))
+    .sort();
+}
+
+function loadFixtureSet(name) {
+  if (!listFixtureSets().includes(name)) {
+    throw new Error(
+      `Unknown fixture set '${name}'. Available: ${listFixtureSets().join(
+        ", "
+      )}`
+    );
+  }
+  return require(path.join(SEEDS_DIR, `${name}.js`));
+}
+
+// Insert a fixture set inside one transaction. Users are matched by email and
+// projects by title and owner, so re-running a set only adds what is missing.
+// A project's tasks are only inserted along with the project itself.
+async function seed(connection, name) {
+  const fixtures = loadFixtureSet(name);
+  const inserted = { users: 0, projects: 0, tasks: 0 };
+  const members = createMemberRepository(connection);
+
+  await connection.beginTransaction();
+  try {
+    const userIds = new Map();
+    for (const user of fixtures.users) {
+      const [result] = await connection.execute(
+        "INSERT IGNORE INTO users (name, email, role) VALUES (?, ?, ?)",
+        [user.name, user.email, user.role]
+      );
+      inserted.users += result.affectedRows;
+
+      // Give fixture users created before logins existed their password,
+      // without overwriting one that has since been changed
+      if (user.password) {
+        await connection.execute(
+          "UPDATE users SET password_hash = ? WHERE email = ? AND password_hash IS NULL",
+          [await hashPassword(user.password), user.email]
+        );
+      }
+
+      const [rows] = await connection.execute(
+        "SELECT id FROM users WHERE email = ?",
+        [user.email]
+      );
+      userIds.set(user.email, rows[0].id);
+    }
+
+    for (const project of fixtures.projects) {
+      const ownerId = userIds.get(project.owner);
+      if (!ownerId) {
+        throw new Error(
+          `Project '${project.title}' references unknown owner ${project.owner}`
+        );
+      }
+
+      const [existing] = await connection.execute(
+        "SELECT id FROM projects WHERE title = ? AND user_id = ?",
+        [project.title, ownerId]
+      );
+      if (existing.length > 0) continue;
+
+      const [result] = await connection.execute(
+        "INSERT INTO projects (title, description, status, user_id) VALUES (?, ?, ?, ?)",
+        [project.title, project.description, project.status, ownerId]
+      );
+      inserted.projects += 1;
+      await members.set(result.insertId, ownerId, "owner");
+
+      for (const task of project.tasks || []) {
+        const assigneeId = task.assignee ? userIds.get(task.assignee) : null;
+        if (assigneeId === undefined) {
+          throw new Error(
+            `Task '${task.title}' references unknown assignee ${task.assignee}`
+          );
+        }
+
+        await connection.execute(
+          "INSERT INTO tasks (project_id, title, assignee_id, status, priority) VALUES (?, ?, ?, ?, ?)",
+          [
+            result.insertId,
+            task.title,
+            assigneeId,
+            task.status || "todo",
+            task.priority || "medium",
+          ]
+        );
+        inserted.tasks += 1;
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+
+  return inserted;
+}
+
+module.exports = { listFixtureSets, seed };
@@ -0,0 +1,108 @@
+// Sample data shown on the home page and dashboard of a fresh install.
+// Every demo user signs in with the password "password123".
+module.exports = {
+  users: [
+    {
+      name: "John Doe",
+      email: "john@example.com",
+      role: "admin",
+      password: "password123",
+    },
+    {
+      name: "Jane Smith",
+      email: "jane@example.com",
+      role: "developer",
+      password: "password123",
+    },
+    {
+      name: "Mike Johnson",
+      email: "mike@example.com",
+      role: "designer",
+      password: "password123",
+    },
+    {
+      name: "Sarah Wilson",
+      email: "sarah@example.com",
+      role: "user",
+      password: "password123",
+    },
+  ],
+  projects: [
+    {
+      title: "Website Redesign",
+      description: "Complete overhaul of company website with modern design",
+      status: "in-progress",
+      owner: "john@example.com",
+      tasks: [
+        {
+          title: "Design new homepage",
+          assignee: "mike@example.com",
+          status: "done",
+          priority: "high",
+        },
+        {
+          title: "Build responsive layout",
+          assignee: "jane@example.com",
+          status: "in-progress",
+          priority: "high",
+        },
+        { title: "Migrate blog content", assignee: "sarah@example.com" },
+      ],
+    },
+    {
+      title: "Mobile App Development",
+      description: "Native mobile app for iOS and Android platforms",
+      status: "planning",
+      owner: "jane@example.com",
+      tasks: [
+        { title: "Write app requirements", assignee: "jane@example.com" },
+        { title: "Sketch onboarding flow", assignee: "mike@example.com" },
+      ],
+    },
+    {
+      title: "Database Optimization",
+      description: "Improve database performance and scalability",
+      status: "completed",
+      owner: "jane@example.com",
+      tasks: [
+        {
+          title: "Add missing indexes",
+          assignee: "jane@example.com",
+          status: "done",
+        },
+        {
+          title: "Tune connection pool",
+          assignee: "jane@example.com",
+          status: "done",
+        },
+      ],
+    },
+    {
+      title: "User Authentication System",
+      description: "Implement secure login and registration system",
+      status: "in-progress",
+      owner: "john@example.com",
+      tasks: [
+        {
+          title: "Password hashing",
+          assignee: "john@example.com",
+          status: "done",
+          priority: "high",
+        },
+        {
+          title: "Session management",
+          assignee: "john@example.com",
+          status: "in-progress",
+          priority: "high",
+        },
+        { title: "Password reset emails", priority: "low" },
+      ],
+    },
+    {
+      title: "API Documentation",
+      description: "Create comprehensive API documentation",
+      status: "planning",
+      owner: "jane@example.com",
+    },
+  ],
+};
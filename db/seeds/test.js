@@ -0,0 +1,38 @@
+// Small deterministic data set for automated tests: one user per role and
+// one project per status. Every test user's password is "test-password".
+module.exports = {
+  users: [
+    {
+      name: "Test Admin",
+      email: "admin@test.local",
+      role: "admin",
+      password: "test-password",
+    },
+    {
+      name: "Test Developer",
+      email: "developer@test.local",
+      role: "developer",
+      password: "test-password",
+    },
+  ],
+  projects: [
+    {
+      title: "Planning Project",
+      description: "A project that has not started",
+      status: "planning",
+      owner: "admin@test.local",
+    },
+    {
+      title: "Active Project",
+      description: "A project in progress",
+      status: "in-progress",
+      owner: "developer@test.local",
+    },
+    {
+      title: "Finished Project",
+      description: "A completed project",
+      status: "completed",
+      owner: "developer@test.local",
+    },
+  ],
+};
@@ -0,0 +1,19 @@
+const { finished } = require("stream");
+
+// Rows of a query as an object stream, read from the server as they are
+// consumed, so a large result is never held in memory. The query gets a
+// connection of its own from the pool; it is released once every row has
+// been read, and destroyed if the stream is cut short since the server may
+// still be sending rows.
+async function streamQuery(pool, sql, params) {
+  const connection = await pool.getConnection();
+
+  // The promise wrapper has no streaming API; use the underlying connection
+  const rows = connection.connection.query(sql, params).stream();
+  finished(rows, (error) =>
+    error ? connection.destroy() : connection.release()
+  );
+  return rows;
+}
+
+module.exports = { streamQuery };
@@ -0,0 +1,84 @@
+// Project activity log: one `activity` row per create, update, status change
+// and delete, written in the same transaction as the change it describes (see
+// db/repositories/activity.js)
+
+const ACTIVITY_ACTIONS = ["created", "updated", "status_changed", "deleted"];
+
+// Project columns whose before/after values are recorded
+const TRACKED_FIELDS = ["title", "description", "status", "user_id"];
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map((field) => [field, row[field]]));
+}
+
+// The tracked fields that differ between two versions of a project, as
+// `{ before, after }`, or null when nothing changed
+function diffProject(before, after) {
+  const changed = TRACKED_FIELDS.filter(
+    (field) => after[field] !== undefined && after[field] !== before[field]
+  );
+  if (changed.length === 0) return null;
+
+  return { before: pick(before, changed), after: pick(after, changed) };
+}
+
+// The entries describing a change, as `{ action, before, after }` with the
+// tracked fields on either side; the activity repository stores them
+function createdEntry(project) {
+  return {
+    action: "created",
+    before: null,
+    after: pick(project, TRACKED_FIELDS),
+  };
+}
+
+// null when the update didn't change a tracked field
+function updatedEntry(before, after) {
+  const diff = diffProject(before, after);
+  if (!diff) return null;
+
+  return {
+    action: diff.after.status !== undefined ? "status_changed" : "updated",
+    ...diff,
+  };
+}
+
+function deletedEntry(project) {
+  return {
+    action: "deleted",
+    before: pick(project, TRACKED_FIELDS),
+    after: null,
+  };
+}
+
+const FIELD_LABELS = { user_id: "owner" };
+
+// Add a one-line, human readable `summary` to an activity row
+function withSummary(entry) {
+  const actor = entry.actor_name || "Someone";
+  const title = `“${entry.project_title}”`;
+
+  let summary;
+  if (entry.action === "status_changed") {
+    const from = entry.before_values.status.replace("-", " ");
+    const to = entry.after_values.status.replace("-", " ");
+    summary = `${actor} moved ${title} from ${from} to ${to}`;
+  } else if (entry.action === "updated") {
+    const fields = Object.keys(entry.after_values || {}).map(
+      (field) => FIELD_LABELS[field] || field
+    );
+    summary = `${actor} updated the ${fields.join(", ")} of ${title}`;
+  } else {
+    summary = `${actor} ${entry.action} ${title}`;
+  }
+
+  return { ...entry, summary };
+}
+
+module.exports = {
+  ACTIVITY_ACTIONS,
+  createdEntry,
+  updatedEntry,
+  deletedEntry,
+  withSummary,
+};
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { sendError } = require("./errors");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as `scrypt:<salt>:<key>` (hex)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString("hex")}:${key.toString("hex")}`;
+}
+
+// Stands in for a missing hash (an unknown email, or a user without a
+// password) so that checking it costs the same scrypt run; otherwise the
+// response time would tell which emails have an account
+const DUMMY_HASH = [
+  "scrypt",
+  crypto.randomBytes(16).toString("hex"),
+  crypto.randomBytes(64).toString("hex"),
+].join(":");
+
+// Always false when there is no stored hash
+async function verifyPassword(password, stored) {
+  if (!stored) {
+    await verifyPassword(password, DUMMY_HASH);
+    return false;
+  }
+
+  const [scheme, salt, key] = stored.split(":");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), 64);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session ids and API tokens are random; only their SHA-256 is stored
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || "").split(";").forEach((pair) => {
+    const index = pair.indexOf("=");
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that aren't valid URI-encoded values
+    }
+  });
+  return cookies;
+}
+
+// Credentials carried by a request: `Authorization: Bearer <token>` for
+// scripted clients, the session cookie for browsers
+function readCredentials(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return {
+    apiToken: match ? match[1] : null,
+    sessionToken: match
+      ? null
+      : parseCookies(req.headers.cookie)[SESSION_COOKIE],
+  };
+}
+
+function setSessionCookie(res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: res.app.get("env") === "production",
+    expires: expiresAt,
+    path: "/",
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// Middleware that sets req.user from the request's credentials and rejects
+// anonymous requests: 401 JSON for /api routes, a redirect to /login for pages.
+// `auth` is the auth repository (db/repositories/auth.js).
+function requireAuth(auth) {
+  return async (req, res, next) => {
+    const credentials = readCredentials(req);
+
+    let user = null;
+    if (credentials.apiToken || credentials.sessionToken) {
+      try {
+        user = await auth.findUserByToken(credentials);
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    if (user) {
+      req.user = user;
+      req.sessionToken = credentials.sessionToken || null;
+      return next();
+    }
+
+    if (req.originalUrl.startsWith("/api/")) {
+      return sendError(res, 401, "unauthorized", "Authentication required");
+    }
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  readCredentials,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+};
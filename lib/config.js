@@ -0,0 +1,205 @@
+// Application configuration, read from the environment once at boot. Values
+// come from the process environment, then `.env.<NODE_ENV>`, then `.env`
+// (the first to set a variable wins), then the defaults for the environment
+// below. Every problem is reported at once, before anything connects.
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { LEVELS, FORMATS } = require("./logger");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+const SSL_MODES = ["disabled", "required", "verify-ca"];
+
+// Per-environment defaults, overridden by any variable that is set. Tests run
+// against a local throwaway database, hence no TLS, and only log errors.
+const ENVIRONMENT_DEFAULTS = {
+  development: {
+    DB_SSL_MODE: "required",
+    DB_CONNECTION_LIMIT: "10",
+    LOG_LEVEL: "debug",
+    LOG_FORMAT: "pretty",
+  },
+  test: {
+    DB_SSL_MODE: "disabled",
+    DB_CONNECTION_LIMIT: "5",
+    LOG_LEVEL: "error",
+    LOG_FORMAT: "pretty",
+  },
+  production: {
+    DB_SSL_MODE: "required",
+    DB_CONNECTION_LIMIT: "20",
+    LOG_LEVEL: "info",
+    LOG_FORMAT: "json",
+  },
+};
+
+const DEFAULTS = {
+  PORT: "3000",
+  DB_PORT: "3306",
+  DB_PASSWORD: "",
+  DB_QUEUE_LIMIT: "0",
+  DB_CONNECT_TIMEOUT_MS: "10000",
+  DB_IDLE_TIMEOUT_MS: "60000",
+};
+
+/**
+ * @typedef {object} DatabaseConfig
+ * @property {string} host
+ * @property {number} port
+ * @property {string} user
+ * @property {string} password
+ * @property {string} database
+ * @property {"disabled" | "required" | "verify-ca"} sslMode
+ * @property {string | null} sslCa PEM contents of DB_SSL_CA (verify-ca only)
+ * @property {number} connectionLimit
+ * @property {number} queueLimit 0 for no limit
+ * @property {number} connectTimeoutMs
+ * @property {number} idleTimeoutMs
+ *
+ * @typedef {object} LogConfig
+ * @property {"debug" | "info" | "warn" | "error" | "silent"} level
+ * @property {"json" | "pretty"} format
+ *
+ * @typedef {object} MetricsConfig
+ * @property {string | null} token bearer token /metrics requires, if any
+ *
+ * @typedef {object} Config
+ * @property {"development" | "test" | "production"} env
+ * @property {number} port
+ * @property {DatabaseConfig} db
+ * @property {LogConfig} log
+ * @property {MetricsConfig} metrics
+ */
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function readEnvFile(dir, file) {
+  const filePath = path.join(dir, file);
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+}
+
+/**
+ * Build and validate the configuration.
+ * @param {object} [source] variables to read, process.env by default
+ * @param {{ dir?: string }} [options] where to look for .env files
+ * @returns {Readonly<Config>}
+ * @throws {ConfigError} listing every invalid or missing variable
+ */
+function loadConfig(source = process.env, { dir = process.cwd() } = {}) {
+  const problems = [];
+
+  // Neither file is required
+  const baseFile = readEnvFile(dir, ".env");
+  const env = source.NODE_ENV || baseFile.NODE_ENV || "development";
+  if (!ENVIRONMENTS.includes(env)) {
+    problems.push(`NODE_ENV must be one of: ${ENVIRONMENTS.join(", ")}`);
+  }
+
+  const vars = {
+    ...DEFAULTS,
+    ...(ENVIRONMENT_DEFAULTS[env] || ENVIRONMENT_DEFAULTS.development),
+    ...baseFile,
+    ...readEnvFile(dir, `.env.${env}`),
+    ...source,
+  };
+
+  function string(name, { required = false } = {}) {
+    const value = vars[name];
+    if (required && (value === undefined || value.trim() === "")) {
+      problems.push(`${name} is required`);
+      return "";
+    }
+    return value === undefined ? "" : value;
+  }
+
+  function integer(name, { min, max = Number.MAX_SAFE_INTEGER }) {
+    const value = Number(vars[name]);
+    if (!/^\d+$/.test(vars[name] || "") || value < min || value > max) {
+      problems.push(`${name} must be an integer from ${min} to ${max}`);
+      return null;
+    }
+    return value;
+  }
+
+  function oneOf(name, allowed) {
+    const value = vars[name];
+    if (!allowed.includes(value)) {
+      problems.push(`${name} must be one of: ${allowed.join(", ")}`);
+    }
+    return value;
+  }
+
+  const sslMode = oneOf("DB_SSL_MODE", SSL_MODES);
+  let sslCa = null;
+  if (sslMode === "verify-ca") {
+    const caPath = string("DB_SSL_CA");
+    if (!caPath) {
+      problems.push(
+        "DB_SSL_CA (a CA certificate file) is required when DB_SSL_MODE is verify-ca"
+      );
+    } else {
+      try {
+        sslCa = fs.readFileSync(path.resolve(dir, caPath), "utf8");
+      } catch (error) {
+        problems.push(`DB_SSL_CA cannot be read: ${error.message}`);
+      }
+    }
+  }
+
+  const config = {
+    env,
+    port: integer("PORT", { min: 1, max: 65535 }),
+    db: {
+      host: string("DB_HOST", { required: true }),
+      port: integer("DB_PORT", { min: 1, max: 65535 }),
+      user: string("DB_USER", { required: true }),
+      // An empty password is allowed outside production
+      password: string("DB_PASSWORD", { required: env === "production" }),
+      database: string("DB_NAME", { required: true }),
+      sslMode,
+      sslCa,
+      connectionLimit: integer("DB_CONNECTION_LIMIT", { min: 1, max: 1000 }),
+      queueLimit: integer("DB_QUEUE_LIMIT", { min: 0 }),
+      connectTimeoutMs: integer("DB_CONNECT_TIMEOUT_MS", { min: 1 }),
+      idleTimeoutMs: integer("DB_IDLE_TIMEOUT_MS", { min: 1 }),
+    },
+    log: {
+      level: oneOf("LOG_LEVEL", Object.keys(LEVELS)),
+      format: oneOf("LOG_FORMAT", FORMATS),
+    },
+    metrics: {
+      token: string("METRICS_TOKEN") || null,
+    },
+  };
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  Object.freeze(config.db);
+  Object.freeze(config.log);
+  Object.freeze(config.metrics);
+  return Object.freeze(config);
+}
+
+// loadConfig() for entry points: print what is wrong and exit instead of
+// starting with a broken configuration
+function loadConfigOrExit() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { ConfigError, loadConfig, loadConfigOrExit };
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes and CRLF or LF line
+// endings
+
+// Spreadsheets run cells starting with these as formulas; exported text
+// cells get a leading apostrophe so they are shown as typed
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// That apostrophe, which parseRecords() drops again
+const DEFUSED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(values) {
+  return `${values.map(formatCell).join(",")}\r\n`;
+}
+
+// Parse CSV text into an array of rows, each an array of strings. Throws on
+// an unterminated quoted field.
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== "");
+}
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header
+// names. Empty cells are left out, so they count as missing values, and the
+// apostrophe formatRow() puts before formulas is removed, so exported text
+// reads back as it was.
+function parseRecords(text) {
+  const [header = [], ...rows] = parse(text);
+  const names = header.map((name) => name.trim());
+
+  return rows.map((cells) => {
+    const record = {};
+    names.forEach((name, index) => {
+      if (name && cells[index] !== undefined && cells[index] !== "") {
+        record[name] = cells[index].replace(DEFUSED_FORMULA, "");
+      }
+    });
+    return record;
+  });
+}
+
+module.exports = { formatRow, parse, parseRecords };
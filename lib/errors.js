@@ -0,0 +1,67 @@
+// Every /api route reports failures as
+// `{ error: { code, message, fields: [{ field, message }] } }`
+
+class ApiError extends Error {
+  constructor(status, code, message, fields = []) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+function sendError(res, status, code, message, fields = []) {
+  return res.status(status).json({ error: { code, message, fields } });
+}
+
+// Wrap an async /api handler. ApiErrors (thrown by a service, say) go on to
+// apiErrorHandler; anything else is logged with the request id and answered
+// with a 500 carrying the route's own `failureMessage`.
+function apiRoute(failureMessage, handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      if (error instanceof ApiError && !res.headersSent) return next(error);
+
+      req.log.error(failureMessage, { error });
+      // A streamed response was cut short and can't become an error body
+      if (res.headersSent || res.destroyed) return res.destroy();
+      sendError(res, 500, "internal_error", failureMessage);
+    }
+  };
+}
+
+// Final error handler for /api routes: malformed JSON bodies, ApiErrors passed
+// to next() and anything unexpected all leave in the standard shape
+function apiErrorHandler(err, req, res, next) {
+  if (!req.path.startsWith("/api/") || res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, err.fields);
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendError(
+      res,
+      400,
+      "invalid_json",
+      "Request body is not valid JSON"
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(
+      res,
+      413,
+      "payload_too_large",
+      "Request body is too large"
+    );
+  }
+
+  req.log.error("Unhandled API error", { error: err });
+  sendError(res, 500, "internal_error", "Internal server error");
+}
+
+module.exports = { ApiError, sendError, apiRoute, apiErrorHandler };
@@ -0,0 +1,115 @@
+// Server-sent events hub for this process. Every published event gets an id
+// of the form `<stream>:<sequence>` and is kept in a short replay buffer, so a
+// client reconnecting with Last-Event-ID receives exactly what it missed. Ids
+// from another stream (e.g. before a restart) or older than the buffer get a
+// `resync` event instead, telling the client to refetch its data.
+
+const DEFAULT_BUFFER_SIZE = 200;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const CLIENT_RETRY_MS = 3000;
+
+function createEventStream({
+  bufferSize = DEFAULT_BUFFER_SIZE,
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS,
+} = {}) {
+  const streamId = Date.now().toString(36);
+  const clients = new Set();
+  const buffer = [];
+  let sequence = 0;
+  let heartbeatTimer = null;
+
+  function frame(event, data, seq = sequence) {
+    return `id: ${streamId}:${seq}\nevent: ${event}\ndata: ${JSON.stringify(
+      data
+    )}\n\n`;
+  }
+
+  function publish(event, data) {
+    sequence += 1;
+    buffer.push({ seq: sequence, event, data });
+    if (buffer.length > bufferSize) buffer.shift();
+
+    const message = frame(event, data);
+    clients.forEach((res) => res.write(message));
+  }
+
+  // Buffered events after a Last-Event-ID, or null when they can't be replayed
+  function eventsSince(lastEventId) {
+    const [stream, seqText] = String(lastEventId).split(":");
+    const seq = Number(seqText);
+    if (stream !== streamId || !Number.isInteger(seq) || seq > sequence) {
+      return null;
+    }
+
+    const oldest = buffer.length > 0 ? buffer[0].seq : sequence + 1;
+    if (seq < oldest - 1) return null;
+
+    return buffer.filter((entry) => entry.seq > seq);
+  }
+
+  // Comment lines keep idle connections open through proxies
+  function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+      clients.forEach((res) => res.write(": ping\n\n"));
+    }, heartbeatIntervalMs);
+    heartbeatTimer.unref();
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  // Express handler for the stream. Browsers send Last-Event-ID themselves
+  // when EventSource reconnects; `?last_event_id=` covers clients that had to
+  // open a new EventSource after the server refused a connection.
+  function handler(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.last_event_id;
+    if (lastEventId) {
+      const missed = eventsSince(lastEventId);
+      if (missed) {
+        missed.forEach(({ seq, event, data }) =>
+          res.write(frame(event, data, seq))
+        );
+      } else {
+        res.write(frame("resync", {}));
+      }
+    }
+
+    // Gives every client a resume point even before the first real event
+    res.write(frame("ready", {}));
+
+    clients.add(res);
+    startHeartbeat();
+
+    req.on("close", () => {
+      clients.delete(res);
+      if (clients.size === 0) stopHeartbeat();
+    });
+  }
+
+  function close() {
+    stopHeartbeat();
+    clients.forEach((res) => res.end());
+    clients.clear();
+  }
+
+  return {
+    publish,
+    handler,
+    close,
+    clientCount: () => clients.size,
+  };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,53 @@
+const { Transform, pipeline } = require("stream");
+const csv = require("./csv");
+
+const EXPORT_FORMATS = ["csv", "json"];
+
+// Rows as CSV with a header line, or as a JSON array, one row at a time
+function formatter(format, columns) {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      let chunk;
+      if (format === "csv") {
+        chunk = `${first ? csv.formatRow(columns) : ""}${csv.formatRow(
+          columns.map((column) => row[column])
+        )}`;
+      } else {
+        chunk = `${first ? "[\n" : ",\n"}${JSON.stringify(row)}`;
+      }
+      first = false;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === "csv") {
+        callback(null, first ? csv.formatRow(columns) : "");
+      } else {
+        callback(null, first ? "[]\n" : "\n]\n");
+      }
+    },
+  });
+}
+
+// Stream rows (an object stream, see db/streams.js) to the response as a
+// file download, so the table is never held in memory. Resolves once the
+// response has finished; rejects (after destroying the response) if the
+// query or the client connection fails.
+function streamExport(res, rows, { columns, format, name }) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    "Content-Type":
+      format === "csv" ? "text/csv; charset=utf-8" : "application/json",
+    "Content-Disposition": `attachment; filename="${name}-${date}.${format}"`,
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(rows, formatter(format, columns), res, (error) =>
+      error ? reject(error) : resolve()
+    );
+  });
+}
+
+module.exports = { EXPORT_FORMATS, streamExport };
@@ -0,0 +1,101 @@
+// Leveled logger writing one line per entry: JSON for log collectors in
+// production, `12:34:56.789 INFO  message key=value` for people reading a
+// terminal. `child(fields)` returns a logger that adds `fields` to every
+// entry, e.g. the request id (see lib/requests.js).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ["json", "pretty"];
+
+// Errors don't serialize to JSON by themselves. The SQL text is left out, as
+// it may carry the values of the query.
+function serializeError(error) {
+  const { name, message, code, errno, sqlState, sqlMessage, stack } = error;
+  return { name, message, code, errno, sqlState, sqlMessage, stack };
+}
+
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+}
+
+function formatJson(time, level, message, fields) {
+  return JSON.stringify({
+    time: time.toISOString(),
+    level,
+    msg: message,
+    ...fields,
+  });
+}
+
+function formatPretty(time, level, message, fields) {
+  let line = `${time.toISOString().slice(11, 23)} ${level
+    .toUpperCase()
+    .padEnd(5)} ${message}`;
+  const stacks = [];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value && typeof value === "object" && value.stack) {
+      line += ` ${key}=${JSON.stringify(value.message)}`;
+      stacks.push(value.stack);
+    } else {
+      line += ` ${key}=${
+        typeof value === "string" && /^[\w.:/@-]+$/.test(value)
+          ? value
+          : JSON.stringify(value)
+      }`;
+    }
+  }
+  return [line, ...stacks].join("\n");
+}
+
+/**
+ * @param {object} [options]
+ * @param {"debug" | "info" | "warn" | "error" | "silent"} [options.level]
+ *   entries below this level are dropped
+ * @param {"json" | "pretty"} [options.format]
+ * @param {{ write(chunk: string): unknown }} [options.stream] process.stdout
+ *   by default
+ */
+function createLogger({
+  level = "info",
+  format = "pretty",
+  stream = process.stdout,
+} = {}) {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level}`);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+
+  const threshold = LEVELS[level];
+  const formatEntry = format === "json" ? formatJson : formatPretty;
+
+  function build(boundFields) {
+    function write(entryLevel, message, fields = {}) {
+      if (LEVELS[entryLevel] < threshold) return;
+      stream.write(
+        `${formatEntry(
+          new Date(),
+          entryLevel,
+          message,
+          serializeFields({ ...boundFields, ...fields })
+        )}\n`
+      );
+    }
+
+    return {
+      level,
+      debug: (message, fields) => write("debug", message, fields),
+      info: (message, fields) => write("info", message, fields),
+      warn: (message, fields) => write("warn", message, fields),
+      error: (message, fields) => write("error", message, fields),
+      child: (fields) => build({ ...boundFields, ...fields }),
+    };
+  }
+
+  return build({});
+}
+
+module.exports = { LEVELS, FORMATS, createLogger };
@@ -0,0 +1,7 @@
+// Project membership. projects.user_id is the primary owner and is always an
+// "owner" member too; the member repository (db/repositories/members.js)
+// keeps the two in step.
+
+const MEMBER_ROLES = ["owner", "contributor", "viewer"];
+
+module.exports = { MEMBER_ROLES };
@@ -0,0 +1,190 @@
+// Prometheus metrics for /metrics: HTTP traffic per route pattern, query
+// durations per SQL statement, the mysql2 pool, the database's availability
+// and the dashboard counters, plus Node's own process metrics. Each app gets
+// a registry of its own, so tests can build several apps in one process.
+const client = require("prom-client");
+const { routePattern } = require("./requests");
+
+// Seconds; requests and queries share the same buckets
+const DURATION_BUCKETS = [
+  0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// Collapse a statement to its shape, so the queries of one call site share a
+// label: whitespace is normalized, numeric literals (the inlined LIMIT and
+// OFFSET of list pages and search) become placeholders, and placeholder lists
+// such as the `IN (?, ?, ?)` of a batch lookup count as one placeholder.
+// Otherwise every page a client asks for would add a series.
+function statementLabel(sql) {
+  return sql
+    .replace(/\s+/g, " ")
+    .replace(/(?<![\w.`])\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![\w.`])/gi, "?")
+    .replace(/\?(?: ?, ?\?)+/g, "?")
+    .trim();
+}
+
+function createMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const httpRequests = new client.Counter({
+    name: "http_requests_total",
+    help: "HTTP requests by method, route pattern and status",
+    labelNames: ["method", "route", "status"],
+    registers: [registry],
+  });
+  const httpDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency by method, route pattern and status",
+    labelNames: ["method", "route", "status"],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  });
+  const queryDuration = new client.Histogram({
+    name: "db_query_duration_seconds",
+    help: "SQL statement execution time, including failed statements",
+    labelNames: ["statement", "outcome"],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+  });
+
+  return {
+    registry,
+
+    // Record every response once it is done or aborted. Requests no route
+    // answered (static files, 404s) share the "unmatched" route label.
+    middleware() {
+      return (req, res, next) => {
+        const endTimer = httpDuration.startTimer();
+        res.once("close", () => {
+          const labels = {
+            method: req.method,
+            route: routePattern(req) || "unmatched",
+            status: String(res.statusCode),
+          };
+          httpRequests.inc(labels);
+          endTimer(labels);
+        });
+        next();
+      };
+    },
+
+    // The `onQuery` hook of createDatabase()
+    observeQuery(sql, durationMs, error) {
+      queryDuration.observe(
+        { statement: statementLabel(sql), outcome: error ? "error" : "ok" },
+        durationMs / 1000
+      );
+    },
+
+    // Gauges read at scrape time from the database monitor and, while the
+    // database is available, the dashboard counters. A counter that can't be
+    // read is left out of the scrape rather than reported stale.
+    collectDatabase(db, logger) {
+      new client.Gauge({
+        name: "db_up",
+        help: "Whether the database is reachable (1) or not (0)",
+        registers: [registry],
+        collect() {
+          this.set(db.monitor.state.up ? 1 : 0);
+        },
+      });
+      new client.Gauge({
+        name: "db_pending_migrations",
+        help: "Migrations not yet applied to the database",
+        registers: [registry],
+        collect() {
+          this.set(db.monitor.state.pendingMigrations.length);
+        },
+      });
+      new client.Gauge({
+        name: "db_pool_connections",
+        help: "Pool connections by state (active or idle)",
+        labelNames: ["state"],
+        registers: [registry],
+        collect() {
+          const { active, idle } = db.monitor.poolStats();
+          this.set({ state: "active" }, active);
+          this.set({ state: "idle" }, idle);
+        },
+      });
+      new client.Gauge({
+        name: "db_pool_max_connections",
+        help: "Connections the pool may open (DB_CONNECTION_LIMIT)",
+        registers: [registry],
+        collect() {
+          this.set(db.monitor.poolStats().limit);
+        },
+      });
+      new client.Gauge({
+        name: "db_pool_queued_requests",
+        help: "Requests waiting for a free pool connection",
+        registers: [registry],
+        collect() {
+          this.set(db.monitor.poolStats().queued);
+        },
+      });
+
+      // Both gauges are collected concurrently and share one read per scrape.
+      // Resolves to null while the database can't be read.
+      let pending = null;
+      function readStatistics() {
+        if (!pending) {
+          pending = (async () => {
+            if (!db.monitor.isAvailable()) return null;
+            try {
+              return {
+                summary: await db.statistics.summary(),
+                roles: await db.statistics.roleCounts(),
+              };
+            } catch (error) {
+              logger.warn("Failed to collect statistics for metrics", {
+                error,
+              });
+              return null;
+            }
+          })().finally(() => {
+            pending = null;
+          });
+        }
+        return pending;
+      }
+
+      new client.Gauge({
+        name: "app_users",
+        help: "Registered users by role",
+        labelNames: ["role"],
+        registers: [registry],
+        async collect() {
+          this.reset();
+          const stats = await readStatistics();
+          if (!stats) return;
+
+          for (const { role, count } of stats.roles) {
+            this.set({ role }, Number(count));
+          }
+        },
+      });
+      new client.Gauge({
+        name: "app_projects",
+        help: "Projects by status",
+        labelNames: ["status"],
+        registers: [registry],
+        async collect() {
+          this.reset();
+          const stats = await readStatistics();
+          if (!stats) return;
+
+          const total = Number(stats.summary.total_projects);
+          const completed = Number(stats.summary.completed_projects);
+          const active = Number(stats.summary.active_projects);
+          this.set({ status: "planning" }, total - completed - active);
+          this.set({ status: "in-progress" }, active);
+          this.set({ status: "completed" }, completed);
+        },
+      });
+    },
+  };
+}
+
+module.exports = { createMetrics, statementLabel };
@@ -0,0 +1,84 @@
+const { DEFAULT_PER_PAGE, MAX_PER_PAGE, MAX_PAGE } = require("../db/lists");
+const { EXPORT_FORMATS } = require("./export");
+
+// Query string schema for a list (see db/lists.js): page/per_page, its
+// filters, created_from/created_to and sort (a column name, prefixed with -
+// for DESC)
+function listQuerySchema(list) {
+  const sortKeys = Object.keys(list.sortColumns);
+  const schema = {
+    page: { type: "integer", min: 1, max: MAX_PAGE, default: 1 },
+    per_page: {
+      type: "integer",
+      min: 1,
+      max: MAX_PER_PAGE,
+      default: DEFAULT_PER_PAGE,
+    },
+    created_from: { type: "date" },
+    created_to: { type: "date" },
+    sort: {
+      type: "string",
+      enum: [...sortKeys, ...sortKeys.map((key) => `-${key}`)],
+      default: list.defaultSort,
+    },
+  };
+  for (const [name, filter] of Object.entries(list.filters)) {
+    schema[name] = filter.rule;
+  }
+  return schema;
+}
+
+// Query string schema for an export: a list's filters and sort, plus format
+function exportQuerySchema(list) {
+  const { page, per_page, ...schema } = listQuerySchema(list);
+  return {
+    ...schema,
+    format: { type: "string", enum: EXPORT_FORMATS, default: "csv" },
+  };
+}
+
+// Link to another page of the current list, keeping its other parameters
+function pageLink(req, params) {
+  const query = new URLSearchParams({ ...req.query, ...params });
+  return `${req.originalUrl.split("?")[0]}?${query}`;
+}
+
+// Response body shared by the paginated list endpoints
+function paginatedResponse(req, { page, perPage }, { rows, total }) {
+  const totalPages = Math.ceil(total / perPage);
+  return {
+    data: rows,
+    pagination: {
+      page,
+      per_page: perPage,
+      total,
+      total_pages: totalPages,
+      next:
+        page < totalPages
+          ? pageLink(req, { page: page + 1, per_page: perPage })
+          : null,
+      prev:
+        page > 1 && page <= totalPages
+          ? pageLink(req, { page: page - 1, per_page: perPage })
+          : null,
+    },
+  };
+}
+
+// Prev/next links for one of the independently paged dashboard tables
+function pagerLinks(req, param, { page, perPage }, { total }) {
+  const totalPages = Math.max(Math.ceil(total / perPage), 1);
+  return {
+    page: Math.min(page, totalPages),
+    totalPages,
+    prevHref: page > 1 ? pageLink(req, { [param]: page - 1 }) : null,
+    nextHref: page < totalPages ? pageLink(req, { [param]: page + 1 }) : null,
+  };
+}
+
+module.exports = {
+  listQuerySchema,
+  exportQuerySchema,
+  paginatedResponse,
+  pagerLinks,
+};
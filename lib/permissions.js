@@ -0,0 +1,83 @@
+const { ApiError, sendError } = require("./errors");
+
+// Actions granted to each users.role value. Roles not listed here (the column
+// is free text) get the "user" set. Reading is open to everyone.
+const ROLE_PERMISSIONS = {
+  admin: ["users:manage", "projects:create", "projects:manage"],
+  developer: ["projects:create"],
+  designer: ["projects:create"],
+  user: ["projects:create"],
+};
+
+const PUBLIC_ACTIONS = ["users:read", "projects:read"];
+
+// Actions a project member may take on that project, by membership role,
+// even without projects:manage. A project's owner (projects.user_id) always
+// has the owner set.
+const MEMBER_ACTIONS = {
+  owner: [
+    "projects:update",
+    "projects:delete",
+    "members:manage",
+    "tasks:manage",
+  ],
+  contributor: ["tasks:manage"],
+  viewer: [],
+};
+
+const PROJECT_ACTIONS = [...new Set(Object.values(MEMBER_ACTIONS).flat())];
+
+function permissionsFor(user) {
+  if (!user) return [...PUBLIC_ACTIONS];
+  return [
+    ...PUBLIC_ACTIONS,
+    ...(ROLE_PERMISSIONS[user.role] || ROLE_PERMISSIONS.user),
+  ];
+}
+
+// Whether `user` may perform `action`, optionally on a project row. For
+// member actions the row should carry `member_role`, the user's role on it.
+function can(user, action, project) {
+  const permissions = permissionsFor(user);
+  if (permissions.includes(action)) return true;
+
+  if (PROJECT_ACTIONS.includes(action) && user) {
+    if (permissions.includes("projects:manage")) return true;
+    if (!project) return false;
+
+    const role = project.user_id === user.id ? "owner" : project.member_role;
+    return Boolean(role && MEMBER_ACTIONS[role].includes(action));
+  }
+  return false;
+}
+
+const FORBIDDEN = [
+  403,
+  "forbidden",
+  "You do not have permission to perform this action",
+];
+
+// For services, which throw rather than respond
+function forbidden() {
+  return new ApiError(...FORBIDDEN);
+}
+
+function sendForbidden(res) {
+  return sendError(res, ...FORBIDDEN);
+}
+
+// Route guard for actions that don't depend on a particular row; runs after
+// authentication has set req.user
+function authorize(action) {
+  return (req, res, next) =>
+    can(req.user, action) ? next() : sendForbidden(res);
+}
+
+module.exports = {
+  MEMBER_ACTIONS,
+  permissionsFor,
+  can,
+  authorize,
+  forbidden,
+  sendForbidden,
+};
@@ -0,0 +1,54 @@
+// Per-request plumbing: an id for every request, a logger carrying it and
+// the access log.
+const crypto = require("crypto");
+
+// Ids from a proxy or client are kept when they look like one, so a request
+// can be followed across services; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapers hit these every few seconds; their access log entries
+// are debug only
+const QUIET_ROUTES = ["/healthz", "/readyz", "/metrics"];
+
+// The route pattern that answered, e.g. "/api/projects/:id/tasks/:taskId",
+// or null when no route matched (static files, 404s). Routers record their
+// mount path in `req.routePrefix` (see createApp()).
+function routePattern(req) {
+  if (!req.route || typeof req.route.path !== "string") return null;
+
+  const pattern = `${req.routePrefix || ""}${req.route.path}`;
+  return pattern.length > 1 ? pattern.replace(/\/$/, "") : pattern;
+}
+
+// Sets `req.id` (echoed in the X-Request-Id response header) and `req.log`,
+// then writes one access log entry once the response is done or aborted
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const incoming = req.get("X-Request-Id");
+    req.id =
+      incoming && REQUEST_ID_PATTERN.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set("X-Request-Id", req.id);
+
+    res.once("close", () => {
+      const route = routePattern(req);
+      const level = QUIET_ROUTES.includes(route) ? "debug" : "info";
+      req.log[level]("request", {
+        method: req.method,
+        route,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        duration_ms:
+          Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        aborted: res.writableFinished ? undefined : true,
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { routePattern, requestLogger };
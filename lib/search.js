@@ -0,0 +1,104 @@
+// Full-text search over projects and users (FULLTEXT indexes from migration
+// 008, queried by db/repositories/search.js). Every word of the query must
+// match, each as a prefix, so results narrow while the user types.
+// Highlights are returned as [start, end) character ranges rather than
+// markup, leaving escaping to the client.
+
+const SEARCH_TYPES = ["project", "user"];
+
+// InnoDB doesn't index words shorter than innodb_ft_min_token_size (3)
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+// Words of the query usable in a FULLTEXT search, lowercased and deduplicated.
+// Anything that isn't a letter or digit is dropped, which also strips the
+// boolean mode operators.
+function searchTerms(query) {
+  const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)]
+    .filter((word) => word.length >= MIN_TERM_LENGTH)
+    .slice(0, MAX_TERMS);
+}
+
+function booleanQuery(terms) {
+  return terms.map((term) => `+${term}*`).join(" ");
+}
+
+// Ranges of `text` where a word starts with one of the terms
+function highlightRanges(text, terms) {
+  const ranges = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+
+  for (const match of text.matchAll(wordPattern)) {
+    const word = match[0].toLowerCase();
+    const term = terms.find((candidate) => word.startsWith(candidate));
+    if (term) ranges.push([match.index, match.index + term.length]);
+  }
+  return ranges;
+}
+
+// A window of `text` around its first match, with the match ranges in it
+function snippet(text, terms, length = SNIPPET_LENGTH) {
+  const source = (text || "").replace(/\s+/g, " ").trim();
+  const ranges = highlightRanges(source, terms);
+
+  if (source.length <= length) {
+    return { text: source, highlights: ranges };
+  }
+
+  // Start a little before the first match, on a word boundary
+  const firstMatch = ranges.length > 0 ? ranges[0][0] : 0;
+  let start = Math.max(0, Math.min(firstMatch - 40, source.length - length));
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    start = space === -1 || space >= firstMatch ? start : space + 1;
+  }
+  const end = Math.min(source.length, start + length);
+
+  const prefix = start > 0 ? "…" : "";
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${source.slice(start, end)}${
+      end < source.length ? "…" : ""
+    }`,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+}
+
+// Each type's rows as search results
+const RESULTS = {
+  project: (row, terms) => ({
+    type: "project",
+    id: row.id,
+    title: row.title,
+    title_highlights: highlightRanges(row.title, terms),
+    snippet: snippet(row.description, terms),
+    status: row.status,
+    url: `/api/projects/${row.id}`,
+  }),
+  user: (row, terms) => ({
+    type: "user",
+    id: row.id,
+    title: row.name,
+    title_highlights: highlightRanges(row.name, terms),
+    snippet: snippet(row.email, terms),
+    role: row.role,
+    url: `/api/users/${row.id}`,
+  }),
+};
+
+// Results for the rows of one type, best first. Scores come from MATCH() and
+// are only comparable within a type, so they are made relative to the best
+// hit, letting results of both types be ranked together.
+function searchResults(type, rows, terms) {
+  const best = rows.length > 0 ? rows[0].score : 0;
+  return rows.map((row) => ({
+    ...RESULTS[type](row, terms),
+    score: best > 0 ? Math.round((row.score / best) * 1000) / 1000 : 0,
+  }));
+}
+
+module.exports = { SEARCH_TYPES, searchTerms, booleanQuery, searchResults };
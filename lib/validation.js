@@ -0,0 +1,197 @@
+const { ApiError } = require("./errors");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Schemas map field names to rules:
+//   type       "string" | "integer" | "boolean" | "date" (YYYY-MM-DD)
+//   required   must be present unless validating a partial update
+//   nullable   null is accepted as a value
+//   default    used when the field is absent (never for partial updates)
+//   enum       list of allowed values
+//   format     "email" (strings only)
+//   minLength / maxLength, min / max
+// Strings are trimmed. With `coerce` (query strings) integers and booleans
+// are parsed from their text form.
+
+// Check one value against its rule, returning { value } or { message }
+function checkValue(rule, raw, coerce) {
+  let value = raw;
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return { message: "must be a string" };
+      value = value.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return {
+          message:
+            rule.minLength === 1
+              ? "cannot be empty"
+              : `must be at least ${rule.minLength} characters`,
+        };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { message: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+        return { message: "must be a valid email address" };
+      }
+      break;
+
+    case "integer":
+      if (coerce && typeof value === "string" && /^-?\d+$/.test(value)) {
+        value = Number(value);
+      }
+      // Beyond 2^53 a number is no longer exact (and prints in exponent form)
+      if (!Number.isSafeInteger(value)) {
+        return { message: "must be an integer" };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { message: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { message: `must be at most ${rule.max}` };
+      }
+      break;
+
+    case "boolean":
+      if (coerce && (value === "true" || value === "false")) {
+        value = value === "true";
+      }
+      if (typeof value !== "boolean") {
+        return { message: "must be true or false" };
+      }
+      break;
+
+    case "date":
+      // Date.parse rolls over (2024-02-31 is March 2nd), so the date must
+      // survive the round trip unchanged
+      if (
+        typeof value !== "string" ||
+        !DATE_PATTERN.test(value) ||
+        Number.isNaN(Date.parse(value)) ||
+        new Date(value).toISOString().slice(0, 10) !== value
+      ) {
+        return { message: "must be a date in YYYY-MM-DD format" };
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown schema type '${rule.type}'`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { message: `must be one of: ${rule.enum.join(", ")}` };
+  }
+
+  return { value };
+}
+
+// Validate an input object against a schema, returning the cleaned value and
+// a list of `{ field, message }` violations
+function validate(
+  schema,
+  input,
+  { partial = false, allowUnknown = false, coerce = false } = {}
+) {
+  const fields = [];
+  const value = {};
+
+  if (input === undefined) {
+    input = {};
+  }
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    return { value, fields: [{ field: null, message: "must be an object" }] };
+  }
+
+  if (!allowUnknown) {
+    Object.keys(input)
+      .filter((key) => !Object.prototype.hasOwnProperty.call(schema, key))
+      .forEach((key) => fields.push({ field: key, message: "is not allowed" }));
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined) {
+      if (!partial && rule.required) {
+        fields.push({ field, message: "is required" });
+      } else if (!partial && rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    if (raw === null) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        fields.push({ field, message: "cannot be null" });
+      }
+      continue;
+    }
+
+    const result = checkValue(rule, raw, coerce);
+    if (result.message) {
+      fields.push({ field, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (partial && fields.length === 0 && Object.keys(value).length === 0) {
+    fields.push({ field: null, message: "at least one field is required" });
+  }
+
+  return { value, fields };
+}
+
+// Parse a route id parameter, returning null when it isn't a positive integer
+function parseId(value) {
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+// Middleware replacing req.body with its validated value, or failing with 400
+function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, fields } = validate(schema, req.body, options);
+    if (fields.length > 0) {
+      return next(
+        new ApiError(
+          400,
+          "validation_failed",
+          "Request body is invalid",
+          fields
+        )
+      );
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// Middleware storing the validated query string on req.validQuery (Express
+// does not allow req.query to be replaced), or failing with 400
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const { value, fields } = validate(schema, req.query, {
+      allowUnknown: true,
+      coerce: true,
+    });
+    if (fields.length > 0) {
+      return next(
+        new ApiError(
+          400,
+          "validation_failed",
+          "Query parameters are invalid",
+          fields
+        )
+      );
+    }
+    req.validQuery = value;
+    next();
+  };
+}
+
+module.exports = { validate, parseId, validateBody, validateQuery };
@@ -0,0 +1,74 @@
+const { ApiError } = require("./errors");
+const { can } = require("./permissions");
+
+// Allowed values for projects.status (mirrors the ENUM column)
+const PROJECT_STATUSES = ["planning", "in-progress", "completed"];
+
+// Project status workflow: the moves allowed between statuses and the
+// permission each needs (see lib/permissions.js). A move not listed here is
+// rejected for everyone.
+const PROJECT_TRANSITIONS = [
+  { from: "planning", to: "in-progress", requires: "projects:update" },
+  { from: "in-progress", to: "planning", requires: "projects:update" },
+  { from: "in-progress", to: "completed", requires: "projects:update" },
+  { from: "completed", to: "in-progress", requires: "projects:update" },
+  { from: "completed", to: "planning", requires: "projects:manage" },
+];
+
+// What entering each status does to started_at and completed_at: "now"
+// stamps it, "keep" leaves an existing value (stamping it when empty) and
+// "clear" empties it. started_at survives a reopen so cycle time covers the
+// project's whole active life.
+const STATUS_TIMESTAMPS = {
+  planning: { started_at: "clear", completed_at: "clear" },
+  "in-progress": { started_at: "keep", completed_at: "clear" },
+  completed: { started_at: "keep", completed_at: "now" },
+};
+
+function createWorkflow(transitions = PROJECT_TRANSITIONS) {
+  // An ApiError explaining why `user` can't move `project` to `status`, or
+  // null when the transition is allowed
+  function checkTransition(user, project, status) {
+    const field = [
+      { field: "status", message: `cannot change from ${project.status}` },
+    ];
+
+    if (status === project.status) {
+      return new ApiError(
+        409,
+        "conflict",
+        `Project is already ${status}`,
+        field
+      );
+    }
+
+    const transition = transitions.find(
+      ({ from, to }) => from === project.status && to === status
+    );
+    if (!transition) {
+      return new ApiError(
+        409,
+        "conflict",
+        `Projects cannot move from ${project.status} to ${status}`,
+        field
+      );
+    }
+    if (!can(user, transition.requires, project)) {
+      return new ApiError(
+        403,
+        "forbidden",
+        `Moving a project from ${project.status} to ${status} requires the ${transition.requires} permission`
+      );
+    }
+    return null;
+  }
+
+  return { transitions, checkTransition };
+}
+
+module.exports = {
+  PROJECT_STATUSES,
+  PROJECT_TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  createWorkflow,
+};
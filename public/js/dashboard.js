@@ -0,0 +1,613 @@
+// Project management for the dashboard. Every change goes through the JSON
+// API (so the same validation and permissions apply) and the projects table
+// is redrawn from the API response instead of reloading the page.
+
+const projectsCard = document.getElementById("projects-card");
+const projectsBody = document.getElementById("projects-body");
+const projectsTotal = document.getElementById("projects-total");
+const formCard = document.getElementById("project-form-card");
+const form = document.getElementById("project-form");
+const formHeading = document.getElementById("project-form-heading");
+const formSubmit = document.getElementById("project-form-submit");
+const formCancel = document.getElementById("project-form-cancel");
+const formMessage = document.getElementById("project-form-message");
+const ownerSearch = document.getElementById("owner-search");
+
+const state = {
+  me: null,
+  memberRoles: new Map(),
+  transitions: [],
+  projects: [],
+  page: Number(projectsCard.dataset.page) || 1,
+  perPage: Number(projectsCard.dataset.perPage) || 20,
+};
+
+// Call the JSON API, throwing an Error carrying the API's error body
+async function api(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    credentials: "same-origin",
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(
+      (data.error && data.error.message) ||
+        `Request failed (${response.status})`
+    );
+    error.fields = (data.error && data.error.fields) || [];
+    throw error;
+  }
+  return data;
+}
+
+function showMessage(type, text, fields = []) {
+  formMessage.hidden = false;
+  formMessage.className = `form-message ${type}`;
+  formMessage.textContent = [
+    text,
+    ...fields.map(({ field, message }) =>
+      field ? `${field} ${message}` : message
+    ),
+  ].join(" · ");
+}
+
+function showError(error) {
+  showMessage("error", error.message, error.fields);
+}
+
+function canManage() {
+  return state.me.permissions.includes("projects:manage");
+}
+
+function memberRole(project) {
+  return project.user_id === state.me.id
+    ? "owner"
+    : state.memberRoles.get(project.id);
+}
+
+function permits(permission, project) {
+  const role = memberRole(project);
+  return (
+    state.me.permissions.includes(permission) ||
+    canManage() ||
+    Boolean(role && state.me.member_actions[role].includes(permission))
+  );
+}
+
+function canEdit(project) {
+  return permits("projects:update", project);
+}
+
+// Statuses the workflow lets the current user move a project to
+function nextStatuses(project) {
+  return state.transitions
+    .filter(
+      ({ from, requires }) =>
+        from === project.status && permits(requires, project)
+    )
+    .map(({ to }) => to);
+}
+
+// Same format as the server-rendered table, e.g. "3d 4h"
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function element(tag, properties = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.assign(node, properties);
+  children.forEach((child) => node.append(child));
+  return node;
+}
+
+function option(value, label, selected) {
+  return element("option", {
+    value: String(value),
+    textContent: label,
+    selected,
+  });
+}
+
+function statusBadge(status) {
+  return element("span", {
+    className: `status status-${status}`,
+    textContent: status.replace("-", " "),
+  });
+}
+
+// Select that saves one field of a project as soon as it changes
+function inlineSelect(project, field, options, save) {
+  const select = element(
+    "select",
+    { ariaLabel: field },
+    options.map(([value, label]) =>
+      option(value, label, value === project[field])
+    )
+  );
+  select.addEventListener("change", async () => {
+    try {
+      await save(select.value);
+      showMessage("success", `Updated “${project.title}”`);
+      await loadProjects();
+    } catch (error) {
+      showError(error);
+      select.value = String(project[field]);
+    }
+  });
+  return select;
+}
+
+// Mirrors views/partials/task-progress.html
+function taskProgress(project) {
+  if (project.task_count === 0) {
+    return element("span", {
+      className: "task-progress-empty",
+      textContent: "No tasks yet",
+    });
+  }
+
+  return element("div", { className: "task-progress" }, [
+    element("progress", {
+      max: project.task_count,
+      value: project.tasks_done,
+    }),
+    element("span", {
+      textContent: `${project.tasks_done}/${project.task_count} tasks · ${project.completion_percent}%`,
+    }),
+  ]);
+}
+
+function renderProjectRow(project) {
+  const editable = canEdit(project);
+
+  const actions = element("td");
+  if (editable) {
+    const editButton = element("button", {
+      type: "button",
+      className: "btn btn-small",
+      textContent: "Edit",
+    });
+    editButton.addEventListener("click", () => startEditing(project));
+
+    const deleteButton = element("button", {
+      type: "button",
+      className: "btn btn-small btn-danger",
+      textContent: "Delete",
+    });
+    deleteButton.addEventListener("click", () => deleteProject(project));
+
+    actions.append(editButton, deleteButton);
+  }
+
+  return element("tr", {}, [
+    element("td", { textContent: project.title }),
+    element("td", {}, [
+      editable
+        ? inlineSelect(
+            project,
+            "status",
+            [project.status, ...nextStatuses(project)].map((status) => [
+              status,
+              status.replace("-", " "),
+            ]),
+            (status) =>
+              api("POST", `/api/projects/${project.id}/transition`, { status })
+          )
+        : statusBadge(project.status),
+    ]),
+    element("td", { textContent: project.user_name }),
+    element("td", {}, [taskProgress(project)]),
+    element("td", {
+      textContent: new Date(project.created_at).toLocaleDateString(),
+    }),
+    element("td", {
+      textContent:
+        project.cycle_time_seconds === null
+          ? "—"
+          : formatDuration(project.cycle_time_seconds),
+    }),
+    actions,
+  ]);
+}
+
+function renderPager(pagination) {
+  const pager = projectsCard.querySelector(".pager");
+  const totalPages = Math.max(pagination.total_pages, 1);
+
+  const link = (page, label) => {
+    const params = new URLSearchParams(window.location.search);
+    params.set("projects_page", page);
+    return element("a", { href: `?${params}`, textContent: label });
+  };
+
+  pager.replaceChildren(
+    state.page > 1 ? link(state.page - 1, "← Previous") : element("span"),
+    element("span", {
+      textContent: `Page ${Math.min(state.page, totalPages)} of ${totalPages}`,
+    }),
+    state.page < totalPages ? link(state.page + 1, "Next →") : element("span")
+  );
+}
+
+async function loadProjects() {
+  const query = new URLSearchParams({
+    page: state.page,
+    per_page: state.perPage,
+    sort: "-created_at",
+  });
+  const { data, pagination } = await api("GET", `/api/projects?${query}`);
+
+  // Step back when the last project on a later page was deleted
+  if (data.length === 0 && state.page > 1) {
+    state.page -= 1;
+    return loadProjects();
+  }
+
+  state.projects = data;
+  projectsTotal.textContent = pagination.total;
+  projectsBody.replaceChildren(...data.map(renderProjectRow));
+  renderPager(pagination);
+}
+
+// Every row of a paginated list, following its next links
+async function fetchAll(url) {
+  const rows = [];
+  while (url) {
+    const { data, pagination } = await api("GET", url);
+    rows.push(...data);
+    url = pagination.next;
+  }
+  return rows;
+}
+
+// Roles on projects the current user is a member of, for permission checks
+async function loadMemberships() {
+  const projects = await fetchAll(
+    `/api/users/${state.me.id}/projects?per_page=100`
+  );
+  state.memberRoles = new Map(
+    projects.map((project) => [project.id, project.member_role])
+  );
+}
+
+// The owner picker offers the chosen owner, yourself and whoever the owner
+// search box last found; it never lists every user
+function fillOwnerPicker(owner, found = []) {
+  const seen = new Set();
+  const people = [owner, state.me, ...found].filter(
+    ({ id }) => !seen.has(id) && seen.add(id)
+  );
+
+  form.elements.user_id.replaceChildren(
+    ...people.map((user) => option(user.id, user.name, user.id === owner.id))
+  );
+}
+
+// Without projects:manage, new projects can only be owned by yourself; an
+// existing project can be handed to anyone
+function resetOwnerSearch() {
+  ownerSearch.value = "";
+  ownerSearch.hidden = !(canManage() || form.elements.id.value);
+}
+
+function resetForm() {
+  form.reset();
+  form.elements.id.value = "";
+  formHeading.textContent = "New project";
+  formSubmit.textContent = "Create project";
+  formCancel.hidden = true;
+  resetOwnerSearch();
+  fillOwnerPicker(state.me);
+}
+
+function startEditing(project) {
+  form.elements.id.value = project.id;
+  form.elements.title.value = project.title;
+  form.elements.description.value = project.description || "";
+  resetOwnerSearch();
+  fillOwnerPicker({ id: project.user_id, name: project.user_name });
+  formHeading.textContent = `Edit “${project.title}”`;
+  formSubmit.textContent = "Save changes";
+  formCancel.hidden = false;
+  formMessage.hidden = true;
+  formCard.scrollIntoView({ behavior: "smooth" });
+  form.elements.title.focus();
+}
+
+async function deleteProject(project) {
+  if (!window.confirm(`Delete “${project.title}”? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await api("DELETE", `/api/projects/${project.id}`);
+    showMessage("success", `Deleted “${project.title}”`);
+    if (form.elements.id.value === String(project.id)) resetForm();
+    await loadProjects();
+  } catch (error) {
+    showError(error);
+  }
+}
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+
+  const id = form.elements.id.value;
+  const body = {
+    title: form.elements.title.value,
+    description: form.elements.description.value,
+    user_id: Number(form.elements.user_id.value),
+  };
+
+  formSubmit.disabled = true;
+  try {
+    if (id) {
+      await api("PATCH", `/api/projects/${id}`, body);
+      showMessage("success", `Saved “${body.title.trim()}”`);
+    } else {
+      await api("POST", "/api/projects", body);
+      showMessage("success", `Created “${body.title.trim()}”`);
+      state.page = 1;
+    }
+    resetForm();
+    await loadProjects();
+  } catch (error) {
+    showError(error);
+  } finally {
+    formSubmit.disabled = false;
+  }
+});
+
+formCancel.addEventListener("click", () => {
+  resetForm();
+  formMessage.hidden = true;
+});
+
+const activityCard = document.getElementById("activity-card");
+const activityFeed = document.getElementById("activity-feed");
+const activityEmpty = document.getElementById("activity-empty");
+
+async function loadActivity() {
+  const query = new URLSearchParams({ per_page: activityCard.dataset.limit });
+  const { data } = await api("GET", `/api/activity?${query}`);
+
+  activityEmpty.hidden = data.length > 0;
+  activityFeed.replaceChildren(
+    ...data.map((entry) =>
+      element("li", { className: `activity-${entry.action}` }, [
+        element("span", {
+          className: "activity-summary",
+          textContent: entry.summary,
+        }),
+        element("time", {
+          dateTime: new Date(entry.created_at).toISOString(),
+          textContent: new Date(entry.created_at).toLocaleString(),
+        }),
+      ])
+    )
+  );
+}
+
+// Redraw the table and activity feed when projects change, here or
+// elsewhere; a burst of events (e.g. reassigning a deleted user's projects)
+// triggers a single reload
+let reloadPending = false;
+function scheduleReload() {
+  if (reloadPending) return;
+  reloadPending = true;
+  setTimeout(async () => {
+    reloadPending = false;
+    try {
+      await loadMemberships();
+      await Promise.all([loadProjects(), loadActivity()]);
+    } catch (error) {
+      showError(error);
+    }
+  }, 250);
+}
+
+function listenForChanges() {
+  subscribeToEvents({
+    "project.created": scheduleReload,
+    "project.updated": scheduleReload,
+    "project.deleted": ({ id }) => {
+      if (form.elements.id.value === String(id)) resetForm();
+      scheduleReload();
+    },
+    resync: scheduleReload,
+  });
+}
+
+const searchCard = document.getElementById("search-card");
+const searchForm = document.getElementById("search-form");
+const searchInput = document.getElementById("search-input");
+const searchStatus = document.getElementById("search-status");
+const searchResults = document.getElementById("search-results");
+
+const MIN_SEARCH_LENGTH = 3;
+let searchTimer = null;
+let latestSearch = 0;
+
+// Text with the given [start, end) ranges wrapped in <mark>
+function highlighted(text, ranges) {
+  const nodes = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    nodes.push(text.slice(position, start));
+    nodes.push(element("mark", { textContent: text.slice(start, end) }));
+    position = end;
+  });
+  nodes.push(text.slice(position));
+  return nodes;
+}
+
+function showSearchStatus(text) {
+  searchStatus.hidden = !text;
+  searchStatus.textContent = text || "";
+}
+
+function renderSearchResult(result) {
+  const item = element("li", {}, [
+    element("span", {
+      className: `search-type search-type-${result.type}`,
+      textContent: result.type,
+    }),
+    element("div", { className: "search-text" }, [
+      element("strong", {}, highlighted(result.title, result.title_highlights)),
+      element(
+        "p",
+        { className: "search-snippet" },
+        highlighted(result.snippet.text, result.snippet.highlights)
+      ),
+    ]),
+  ]);
+
+  if (result.type === "project") {
+    const editButton = element("button", {
+      type: "button",
+      className: "btn btn-small",
+      textContent: "Edit",
+    });
+    editButton.addEventListener("click", async () => {
+      try {
+        const project = await api("GET", result.url);
+        if (!canEdit(project)) {
+          throw new Error("You can't edit this project");
+        }
+        startEditing(project);
+      } catch (error) {
+        showError(error);
+      }
+    });
+    item.append(editButton);
+  }
+  return item;
+}
+
+async function runSearch() {
+  const query = searchInput.value.trim();
+  const searchId = ++latestSearch;
+
+  if (query.length < MIN_SEARCH_LENGTH) {
+    searchResults.replaceChildren();
+    showSearchStatus(
+      query ? `Type at least ${MIN_SEARCH_LENGTH} characters` : ""
+    );
+    return;
+  }
+
+  try {
+    const { data } = await api(
+      "GET",
+      `/api/search?${new URLSearchParams({ q: query })}`
+    );
+    // Ignore responses overtaken by a newer search
+    if (searchId !== latestSearch) return;
+
+    searchResults.replaceChildren(...data.map(renderSearchResult));
+    showSearchStatus(data.length === 0 ? `No results for “${query}”` : "");
+  } catch (error) {
+    if (searchId === latestSearch) showSearchStatus(error.message);
+  }
+}
+
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+});
+
+searchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  clearTimeout(searchTimer);
+  runSearch();
+});
+
+// Typeahead for the owner picker: people matching the owner search box
+let ownerSearchTimer = null;
+let latestOwnerSearch = 0;
+
+// Whoever is picked right now, kept while the search results change
+function pickedOwner() {
+  const select = form.elements.user_id;
+  return {
+    id: Number(select.value),
+    name: select.selectedOptions[0].textContent,
+  };
+}
+
+async function runOwnerSearch() {
+  const query = ownerSearch.value.trim();
+  const searchId = ++latestOwnerSearch;
+
+  if (query.length < MIN_SEARCH_LENGTH) {
+    fillOwnerPicker(pickedOwner());
+    return;
+  }
+
+  try {
+    const { data } = await api(
+      "GET",
+      `/api/search?${new URLSearchParams({
+        q: query,
+        type: "user",
+        limit: 10,
+      })}`
+    );
+    if (searchId !== latestOwnerSearch) return;
+
+    fillOwnerPicker(
+      pickedOwner(),
+      data.map((result) => ({ id: result.id, name: result.title }))
+    );
+  } catch (error) {
+    if (searchId === latestOwnerSearch) showError(error);
+  }
+}
+
+ownerSearch.addEventListener("input", () => {
+  clearTimeout(ownerSearchTimer);
+  ownerSearchTimer = setTimeout(runOwnerSearch, 250);
+});
+
+// Enter searches right away rather than submitting the project form
+ownerSearch.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+  clearTimeout(ownerSearchTimer);
+  runOwnerSearch();
+});
+
+async function init() {
+  try {
+    state.me = await api("GET", "/api/auth/me");
+    ({ transitions: state.transitions } = await api("GET", "/api/workflow"));
+    await loadMemberships();
+    searchCard.hidden = false;
+
+    if (state.me.permissions.includes("projects:create")) {
+      formCard.hidden = false;
+      resetForm();
+    }
+    document
+      .querySelectorAll(".actions-column")
+      .forEach((column) => (column.hidden = false));
+
+    await loadProjects();
+    listenForChanges();
+  } catch (error) {
+    formCard.hidden = false;
+    form.hidden = true;
+    showError(error);
+  }
+}
+
+init();
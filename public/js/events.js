@@ -0,0 +1,37 @@
+// Subscribe to the /api/events stream. EventSource retries dropped
+// connections itself, sending Last-Event-ID; when the server refuses a
+// connection outright (e.g. a 503 while the database is down) it gives up, so
+// we open a new one with backoff and resume from the last event we saw.
+function subscribeToEvents(handlers) {
+  const MAX_RETRY_DELAY_MS = 30000;
+  let lastEventId = null;
+  let retryDelay = 1000;
+
+  function connect() {
+    const url = lastEventId
+      ? `/api/events?last_event_id=${encodeURIComponent(lastEventId)}`
+      : "/api/events";
+    const source = new EventSource(url);
+
+    source.addEventListener("ready", (event) => {
+      lastEventId = event.lastEventId;
+      retryDelay = 1000;
+    });
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+      source.addEventListener(type, (event) => {
+        lastEventId = event.lastEventId;
+        handler(JSON.parse(event.data));
+      });
+    });
+
+    source.addEventListener("error", () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+
+      setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+    });
+  }
+
+  connect();
+}
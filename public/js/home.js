@@ -0,0 +1,45 @@
+// Smooth scrolling for anchor links
+document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
+  anchor.addEventListener("click", function (e) {
+    e.preventDefault();
+    document.querySelector(this.getAttribute("href")).scrollIntoView({
+      behavior: "smooth",
+    });
+  });
+});
+
+// Add parallax effect to floating elements
+window.addEventListener("scroll", () => {
+  const scrolled = window.pageYOffset;
+  const parallax = document.querySelectorAll(".floating-element");
+  const speed = 0.5;
+
+  parallax.forEach((element) => {
+    const yPos = -(scrolled * speed);
+    element.style.transform = `translateY(${yPos}px)`;
+  });
+});
+
+// Keep the stat cards current as projects and users change
+function showStats(stats) {
+  document.querySelectorAll("[data-stat]").forEach((element) => {
+    element.textContent = stats[element.dataset.stat] || 0;
+  });
+}
+
+subscribeToEvents({
+  stats: showStats,
+  // Events were missed while disconnected; fetch the current numbers instead
+  resync: async () => {
+    try {
+      const response = await fetch("/api/stats");
+      // Keep the numbers shown rather than zeroing them on an error
+      if (!response.ok) {
+        throw new Error(`Request failed (${response.status})`);
+      }
+      showStats(await response.json());
+    } catch (error) {
+      console.error("Failed to refresh stats:", error);
+    }
+  },
+});
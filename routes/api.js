@@ -0,0 +1,77 @@
+const express = require("express");
+const { apiRoute } = require("../lib/errors");
+const { withSummary } = require("../lib/activity");
+const { SEARCH_TYPES } = require("../lib/search");
+const { PROJECT_STATUSES } = require("../lib/workflow");
+const { validateQuery } = require("../lib/validation");
+const { listQuerySchema, paginatedResponse } = require("../lib/pagination");
+const { parseListQuery } = require("../db/lists");
+const { ACTIVITY_LIST } = require("../db/repositories/activity");
+
+const SEARCH_QUERY_SCHEMA = {
+  q: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  type: { type: "string", enum: SEARCH_TYPES },
+  limit: { type: "integer", min: 1, max: 50, default: 20 },
+};
+
+// /api endpoints that span resources: statistics, search, the event stream,
+// the workflow and the activity feed
+function createApiRouter({ db, events, workflow }) {
+  const router = express.Router();
+
+  router.get(
+    "/stats",
+    apiRoute("Failed to fetch statistics", async (req, res) => {
+      res.json(await db.statistics.summary());
+    })
+  );
+
+  // Ranked full-text search across projects and users; `type` narrows it to
+  // one of them. Words shorter than three characters are ignored.
+  router.get(
+    "/search",
+    validateQuery(SEARCH_QUERY_SCHEMA),
+    apiRoute("Failed to search", async (req, res) => {
+      const { q, type, limit } = req.validQuery;
+      const results = await db.search.find(q, {
+        types: type ? [type] : SEARCH_TYPES,
+        limit,
+      });
+
+      res.json({ query: q, data: results });
+    })
+  );
+
+  // Server-sent event stream; reconnecting clients resume via Last-Event-ID
+  router.get("/events", events.handler);
+
+  // The project status workflow, so clients can offer only the allowed moves
+  router.get("/workflow", (req, res) => {
+    res.json({
+      statuses: PROJECT_STATUSES,
+      transitions: workflow.transitions,
+    });
+  });
+
+  // Activity across all projects, newest first. Supports page, per_page,
+  // project_id, action, actor_id, created_from, created_to and sort.
+  router.get(
+    "/activity",
+    validateQuery(listQuerySchema(ACTIVITY_LIST)),
+    apiRoute("Failed to fetch activity", async (req, res) => {
+      const listQuery = parseListQuery(req.validQuery, ACTIVITY_LIST);
+      const result = await db.activity.list(listQuery);
+
+      res.json(
+        paginatedResponse(req, listQuery, {
+          ...result,
+          rows: result.rows.map(withSummary),
+        })
+      );
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createApiRouter };
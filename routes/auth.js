@@ -0,0 +1,217 @@
+const express = require("express");
+const { ApiError, apiRoute } = require("../lib/errors");
+const {
+  MIN_PASSWORD_LENGTH,
+  readCredentials,
+  setSessionCookie,
+  clearSessionCookie,
+} = require("../lib/auth");
+const { MEMBER_ACTIONS, permissionsFor } = require("../lib/permissions");
+const { parseId, validateBody } = require("../lib/validation");
+const { notFound } = require("../services/errors");
+
+const TOKEN_REQUEST_SCHEMA = {
+  email: { type: "string", required: true, format: "email", maxLength: 100 },
+  password: { type: "string", required: true, minLength: 1 },
+  name: { type: "string", minLength: 1, maxLength: 100, default: "api" },
+};
+
+const PASSWORD_CHANGE_SCHEMA = {
+  current_password: { type: "string", required: true, minLength: 1 },
+  new_password: {
+    type: "string",
+    required: true,
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: 200,
+  },
+};
+
+// Only follow same-site paths after login, never absolute URLs. The value is
+// resolved the way a browser would, so tricks such as `/\evil.example` or
+// `/<tab>/evil.example` (both protocol-relative once parsed) are refused, and
+// only the normalized path is ever sent back in a Location header.
+const REDIRECT_BASE = "http://localhost";
+
+function safeRedirectPath(value) {
+  const fallback = "/dashboard";
+  if (typeof value !== "string" || !value.startsWith("/")) return fallback;
+
+  let url;
+  try {
+    url = new URL(value, REDIRECT_BASE);
+  } catch (error) {
+    return fallback;
+  }
+  if (url.origin !== REDIRECT_BASE) return fallback;
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+// Sign-in pages for browsers and /api/auth for scripted clients
+function createAuthRouter({ db, services, authenticate }) {
+  const router = express.Router();
+
+  router.get("/login", (req, res) => {
+    res.render("login", { next: safeRedirectPath(req.query.next) });
+  });
+
+  router.post("/login", async (req, res) => {
+    const { email, password } = req.body || {};
+    const next = safeRedirectPath(req.body && req.body.next);
+
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .render("login", { error: "Email and password are required", next });
+    }
+
+    try {
+      const user = await db.auth.findUserByCredentials(email, password);
+      if (!user) {
+        return res.status(401).render("login", {
+          error: "Invalid email or password",
+          next,
+          email,
+        });
+      }
+
+      setSessionCookie(res, await db.auth.createSession(user.id));
+      res.redirect(303, next);
+    } catch (error) {
+      req.log.error("Error signing in", { error });
+      res
+        .status(500)
+        .render("login", { error: "Sign in failed, please try again", next });
+    }
+  });
+
+  router.post("/logout", async (req, res) => {
+    const { sessionToken } = readCredentials(req);
+
+    try {
+      if (sessionToken) await db.auth.deleteSession(sessionToken);
+    } catch (error) {
+      req.log.error("Error signing out", { error });
+    }
+
+    clearSessionCookie(res);
+    res.redirect(303, "/login");
+  });
+
+  router.get("/password", authenticate, (req, res) => {
+    res.render("password");
+  });
+
+  router.post("/password", authenticate, async (req, res) => {
+    const { current_password: currentPassword, new_password: newPassword } =
+      req.body || {};
+
+    if (
+      typeof currentPassword !== "string" ||
+      typeof newPassword !== "string" ||
+      newPassword.length < MIN_PASSWORD_LENGTH
+    ) {
+      return res.status(400).render("password", {
+        error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const changed = await services.users.changePassword(
+        req.user,
+        req.sessionToken,
+        currentPassword,
+        newPassword
+      );
+      if (!changed) {
+        return res
+          .status(400)
+          .render("password", { error: "Current password is incorrect" });
+      }
+
+      res.render("password", { notice: "Password changed" });
+    } catch (error) {
+      req.log.error("Error changing password", { error });
+      res
+        .status(500)
+        .render("password", { error: "Password change failed, try again" });
+    }
+  });
+
+  // Exchange email and password for a bearer token. The token is only ever
+  // shown in this response.
+  router.post(
+    "/api/auth/tokens",
+    validateBody(TOKEN_REQUEST_SCHEMA),
+    apiRoute("Failed to create API token", async (req, res) => {
+      const { email, password, name } = req.body;
+
+      const user = await db.auth.findUserByCredentials(email, password);
+      if (!user) {
+        throw new ApiError(401, "unauthorized", "Invalid email or password");
+      }
+
+      const { id, token } = await db.auth.createApiToken(user.id, name);
+      res.status(201).json({ id, name, token, token_type: "Bearer" });
+    })
+  );
+
+  // The signed-in user, what their role lets them do anywhere and what each
+  // project membership role adds on that project, so clients can tell which
+  // controls to offer without a copy of lib/permissions.js
+  router.get("/api/auth/me", authenticate, (req, res) => {
+    res.json({
+      ...req.user,
+      permissions: permissionsFor(req.user),
+      member_actions: MEMBER_ACTIONS,
+    });
+  });
+
+  router.get(
+    "/api/auth/tokens",
+    authenticate,
+    apiRoute("Failed to fetch API tokens", async (req, res) => {
+      res.json(await db.auth.listApiTokens(req.user.id));
+    })
+  );
+
+  router.delete(
+    "/api/auth/tokens/:id",
+    authenticate,
+    apiRoute("Failed to revoke API token", async (req, res) => {
+      const id = parseId(req.params.id);
+      if (!id || !(await db.auth.deleteApiToken(id, req.user.id))) {
+        throw notFound("API token");
+      }
+
+      res.json({ id, message: "API token revoked" });
+    })
+  );
+
+  router.post(
+    "/api/auth/password",
+    authenticate,
+    validateBody(PASSWORD_CHANGE_SCHEMA),
+    apiRoute("Failed to change password", async (req, res) => {
+      const changed = await services.users.changePassword(
+        req.user,
+        req.sessionToken,
+        req.body.current_password,
+        req.body.new_password
+      );
+      if (!changed) {
+        throw new ApiError(
+          400,
+          "validation_failed",
+          "Current password is incorrect",
+          [{ field: "current_password", message: "is incorrect" }]
+        );
+      }
+
+      res.json({ message: "Password changed successfully" });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,42 @@
+const express = require("express");
+
+// Liveness and readiness probes, answered whether or not the database is up
+function createHealthRouter({ monitor }) {
+  const router = express.Router();
+
+  // Liveness: the process is up and serving requests
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptime_seconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness: the database answers, its schema is current and the pool
+  // isn't saturated
+  router.get("/readyz", async (req, res) => {
+    const reachable = await monitor.probe();
+    const { pendingMigrations, latencyMs, lastError } = monitor.state;
+    const poolStats = monitor.poolStats();
+
+    const checks = {
+      database: reachable
+        ? { status: "ok", latency_ms: latencyMs }
+        : { status: "error", error: lastError },
+      migrations: {
+        status: reachable && pendingMigrations.length === 0 ? "ok" : "error",
+        pending: pendingMigrations,
+      },
+      pool: { status: poolStats.saturated ? "error" : "ok", ...poolStats },
+    };
+    const ready = Object.values(checks).every(({ status }) => status === "ok");
+
+    if (!ready) {
+      res.set("Retry-After", String(monitor.retryAfterSeconds()));
+    }
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ok" : "unavailable", checks });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,93 @@
+const express = require("express");
+const { apiRoute } = require("../lib/errors");
+const { MEMBER_ROLES } = require("../lib/members");
+const { parseId, validateBody } = require("../lib/validation");
+const { notFound } = require("../services/errors");
+const { projectId } = require("./projects");
+
+const MEMBER_SCHEMA = {
+  user_id: { type: "integer", required: true, min: 1 },
+  role: { type: "string", enum: MEMBER_ROLES, default: "contributor" },
+};
+
+const MEMBER_UPDATE_SCHEMA = {
+  role: { type: "string", required: true, enum: MEMBER_ROLES },
+};
+
+// Both ids of /api/projects/:id/members/:userId
+function memberIds(req) {
+  const id = parseId(req.params.id);
+  const userId = parseId(req.params.userId);
+  if (!id || !userId) throw notFound("Member");
+  return { id, userId };
+}
+
+// /api/projects/:id/members. Anyone may list them; writes are checked by the
+// member service.
+function createMemberRouter({ db, services, changes }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get(
+    "/",
+    apiRoute("Failed to fetch members", async (req, res) => {
+      const id = projectId(req);
+      if (!(await db.projects.exists(id))) throw notFound("Project");
+
+      res.json(await db.members.list(id));
+    })
+  );
+
+  router.post(
+    "/",
+    validateBody(MEMBER_SCHEMA),
+    apiRoute("Failed to add member", async (req, res) => {
+      const id = projectId(req);
+      const { user_id, role } = req.body;
+      await services.members.add(req.user, id, user_id, role);
+
+      res.status(201).json({
+        project_id: id,
+        user_id,
+        role,
+        message: "Member added successfully",
+      });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  router.patch(
+    "/:userId",
+    validateBody(MEMBER_UPDATE_SCHEMA),
+    apiRoute("Failed to update member", async (req, res) => {
+      const { id, userId } = memberIds(req);
+      await services.members.updateRole(req.user, id, userId, req.body.role);
+
+      res.json({
+        project_id: id,
+        user_id: userId,
+        role: req.body.role,
+        message: "Member updated successfully",
+      });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  router.delete(
+    "/:userId",
+    apiRoute("Failed to remove member", async (req, res) => {
+      const { id, userId } = memberIds(req);
+      await services.members.remove(req.user, id, userId);
+
+      res.json({
+        project_id: id,
+        user_id: userId,
+        message: "Member removed successfully",
+      });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createMemberRouter };
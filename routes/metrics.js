@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const express = require("express");
+const { readCredentials } = require("../lib/auth");
+
+// Compared as digests so neither the length nor the contents of the token
+// leak through timing
+function sameToken(given, expected) {
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Prometheus scrape endpoint (lib/metrics.js), served whether or not the
+// database is up. With a `token` configured (METRICS_TOKEN), scrapers must
+// send it as `Authorization: Bearer <token>`.
+function createMetricsRouter({ metrics, token }) {
+  const router = express.Router();
+
+  router.get("/metrics", async (req, res) => {
+    const { apiToken } = readCredentials(req);
+    if (token && !(apiToken && sameToken(apiToken, token))) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).type("text/plain").send("Unauthorized\n");
+    }
+
+    try {
+      const body = await metrics.registry.metrics();
+      res.type(metrics.registry.contentType).send(body);
+    } catch (error) {
+      req.log.error("Error collecting metrics", { error });
+      res.status(500).type("text/plain").send("Internal Server Error\n");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,130 @@
+const express = require("express");
+const { withSummary } = require("../lib/activity");
+const { parseId } = require("../lib/validation");
+const { pagerLinks } = require("../lib/pagination");
+const { MAX_PAGE, parseListQuery } = require("../db/lists");
+const { USER_LIST } = require("../db/repositories/users");
+const { PROJECT_LIST } = require("../db/repositories/projects");
+const { ACTIVITY_LIST } = require("../db/repositories/activity");
+
+// Feature cards shown on the home page whether or not the database is up
+const HOME_FEATURES = [
+  {
+    icon: "🚀",
+    title: "Fast Performance",
+    description:
+      "Lightning-fast response times with optimized code and database queries",
+  },
+  {
+    icon: "🎨",
+    title: "Beautiful Design",
+    description: "Modern, responsive design that works on all devices",
+  },
+  {
+    icon: "💾",
+    title: "Database Integration",
+    description: "Seamless MySQL integration for dynamic content management",
+  },
+];
+
+const RECENT_PROJECTS_LIMIT = 3;
+const DASHBOARD_ACTIVITY_LIMIT = 10;
+
+// The home page and the dashboard
+function createPageRouter({ db, authenticate }) {
+  const router = express.Router();
+
+  // Home route with database data
+  router.get("/", async (req, res) => {
+    try {
+      // Skip straight to the fallback page while the database is known to be
+      // down
+      if (!db.monitor.isAvailable()) {
+        throw new Error("Database is unavailable");
+      }
+
+      const pageData = {
+        title: "Welcome to My Beautiful App",
+        heading: "Discover Something Amazing On Graphit software",
+        subtitle:
+          "A modern, elegant web experience built with Express.js & MySQL for testing Graphit software for devops engineers",
+        stats: await db.statistics.summary(),
+        recentProjects: await db.projects.recent(RECENT_PROJECTS_LIMIT),
+        roleStats: await db.statistics.roleCounts(),
+        features: HOME_FEATURES,
+        databaseError: false,
+      };
+
+      res.render("home", pageData);
+    } catch (error) {
+      // Degraded rather than failed: the page still renders
+      req.log.warn("Error loading home page", { error });
+
+      // Fallback to static content if database fails
+      const fallbackData = {
+        title: "Welcome to My Beautiful App",
+        heading: "Discover Something Amazing",
+        subtitle:
+          "A modern, elegant web experience built with Express.js & MySQL",
+        stats: {
+          total_users: 0,
+          total_projects: 0,
+          completed_projects: 0,
+          active_projects: 0,
+        },
+        recentProjects: [],
+        roleStats: [],
+        features: HOME_FEATURES,
+        databaseError: true,
+      };
+
+      res.render("home", fallbackData);
+    }
+  });
+
+  router.get("/dashboard", authenticate, async (req, res) => {
+    try {
+      // Each table pages independently via users_page / projects_page
+      const pageOf = (value) => Math.min(parseId(value) || 1, MAX_PAGE);
+      const usersQuery = parseListQuery(
+        { page: pageOf(req.query.users_page), sort: "-created_at" },
+        USER_LIST
+      );
+      const projectsQuery = parseListQuery(
+        { page: pageOf(req.query.projects_page), sort: "-created_at" },
+        PROJECT_LIST
+      );
+
+      const usersPage = await db.users.list(usersQuery);
+      const projectsPage = await db.projects.list(projectsQuery);
+      const activityPage = await db.activity.list(
+        parseListQuery({ per_page: DASHBOARD_ACTIVITY_LIMIT }, ACTIVITY_LIST)
+      );
+
+      res.render("dashboard", {
+        title: "Dashboard",
+        currentUser: req.user,
+        users: {
+          ...usersPage,
+          pager: pagerLinks(req, "users_page", usersQuery, usersPage),
+        },
+        projects: {
+          ...projectsPage,
+          perPage: projectsQuery.perPage,
+          pager: pagerLinks(req, "projects_page", projectsQuery, projectsPage),
+        },
+        activity: {
+          entries: activityPage.rows.map(withSummary),
+          limit: DASHBOARD_ACTIVITY_LIMIT,
+        },
+      });
+    } catch (error) {
+      req.log.error("Error loading dashboard", { error });
+      res.status(500).send("Internal Server Error");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPageRouter };
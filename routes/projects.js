@@ -0,0 +1,228 @@
+const express = require("express");
+const csv = require("../lib/csv");
+const { ApiError, apiRoute } = require("../lib/errors");
+const { withSummary } = require("../lib/activity");
+const { PROJECT_STATUSES } = require("../lib/workflow");
+const { authorize } = require("../lib/permissions");
+const { streamExport } = require("../lib/export");
+const { parseId, validateBody, validateQuery } = require("../lib/validation");
+const {
+  listQuerySchema,
+  exportQuerySchema,
+  paginatedResponse,
+} = require("../lib/pagination");
+const { parseListQuery } = require("../db/lists");
+const { PROJECT_LIST } = require("../db/repositories/projects");
+const { ACTIVITY_LIST } = require("../db/repositories/activity");
+const { notFound } = require("../services/errors");
+
+const PROJECT_SCHEMA = {
+  title: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  description: { type: "string", maxLength: 65535, default: "" },
+  user_id: { type: "integer", required: true, min: 1 },
+};
+
+const PROJECT_UPDATE_SCHEMA = {
+  ...PROJECT_SCHEMA,
+  status: { type: "string", required: true, enum: PROJECT_STATUSES },
+};
+
+const TRANSITION_SCHEMA = {
+  status: { type: "string", required: true, enum: PROJECT_STATUSES },
+};
+
+// The project id of /api/projects/:id routes, including the nested task and
+// member routers
+function projectId(req) {
+  const id = parseId(req.params.id);
+  if (!id) throw notFound("Project");
+  return id;
+}
+
+// Records of an import body: a JSON array, or CSV with a header row
+// (Content-Type: text/csv)
+function importRecords(req) {
+  if (req.is("text/csv")) {
+    try {
+      return csv.parseRecords(req.body);
+    } catch (error) {
+      throw new ApiError(
+        400,
+        "validation_failed",
+        `Request body is not valid CSV: ${error.message}`
+      );
+    }
+  }
+  if (Array.isArray(req.body)) return req.body;
+
+  throw new ApiError(
+    400,
+    "validation_failed",
+    "Request body must be a JSON array of projects or CSV (text/csv)"
+  );
+}
+
+// /api/projects
+function createProjectRouter({ db, services, changes }) {
+  const router = express.Router();
+
+  // Supports format (csv or json), status, user_id, created_from, created_to
+  // and sort
+  router.get(
+    "/export",
+    validateQuery(exportQuerySchema(PROJECT_LIST)),
+    apiRoute("Failed to export projects", async (req, res) => {
+      const { columns, rows } = await db.projects.exportRows(
+        parseListQuery(req.validQuery, PROJECT_LIST)
+      );
+      await streamExport(res, rows, {
+        columns,
+        format: req.validQuery.format,
+        name: "projects",
+      });
+    })
+  );
+
+  // Bulk-create projects from a JSON array or CSV with a header row
+  // (Content-Type: text/csv). Every row is checked first; if any is invalid
+  // the response lists each problem and nothing is inserted.
+  router.post(
+    "/import",
+    authorize("projects:create"),
+    express.text({ type: "text/csv" }),
+    apiRoute("Failed to import projects", async (req, res) => {
+      const ids = await services.projects.importProjects(
+        req.user,
+        importRecords(req),
+        { coerce: Boolean(req.is("text/csv")) }
+      );
+
+      res.status(201).json({
+        imported: ids.length,
+        ids,
+        message: `Imported ${ids.length} project(s)`,
+      });
+      await changes.publish(
+        req.log,
+        ids.map((id) => ({ type: "created", id }))
+      );
+    })
+  );
+
+  // Supports page, per_page, status, user_id, created_from, created_to and
+  // sort
+  router.get(
+    "/",
+    validateQuery(listQuerySchema(PROJECT_LIST)),
+    apiRoute("Failed to fetch projects", async (req, res) => {
+      const listQuery = parseListQuery(req.validQuery, PROJECT_LIST);
+      const result = await db.projects.list(listQuery);
+      res.json(paginatedResponse(req, listQuery, result));
+    })
+  );
+
+  router.post(
+    "/",
+    authorize("projects:create"),
+    validateBody(PROJECT_SCHEMA),
+    apiRoute("Failed to create project", async (req, res) => {
+      const id = await services.projects.create(req.user, req.body);
+
+      res.json({ id, message: "Project created successfully" });
+      await changes.publish(req.log, [{ type: "created", id }]);
+    })
+  );
+
+  router.get(
+    "/:id",
+    apiRoute("Failed to fetch project", async (req, res) => {
+      const project = await db.projects.find(projectId(req));
+      if (!project) throw notFound("Project");
+
+      res.json(project);
+    })
+  );
+
+  // History of one project, newest first; still available after the project
+  // itself has been deleted. Supports page, per_page, action, actor_id,
+  // created_from, created_to and sort.
+  router.get(
+    "/:id/activity",
+    validateQuery(listQuerySchema(ACTIVITY_LIST)),
+    apiRoute("Failed to fetch activity", async (req, res) => {
+      const id = projectId(req);
+      const listQuery = parseListQuery(
+        { ...req.validQuery, project_id: id },
+        ACTIVITY_LIST
+      );
+
+      const result = await db.activity.list(listQuery);
+      if (result.total === 0 && !(await db.projects.exists(id))) {
+        throw notFound("Project");
+      }
+
+      res.json(
+        paginatedResponse(req, listQuery, {
+          ...result,
+          rows: result.rows.map(withSummary),
+        })
+      );
+    })
+  );
+
+  // PUT replaces all fields and PATCH any subset of them
+  const updateProject = apiRoute(
+    "Failed to update project",
+    async (req, res) => {
+      const id = projectId(req);
+      await services.projects.update(req.user, id, req.body);
+
+      res.json({ id, message: "Project updated successfully" });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    }
+  );
+
+  router.put("/:id", validateBody(PROJECT_UPDATE_SCHEMA), updateProject);
+
+  router.patch(
+    "/:id",
+    validateBody(PROJECT_UPDATE_SCHEMA, { partial: true }),
+    updateProject
+  );
+
+  // Move a project along the status workflow (lib/workflow.js), recording
+  // when it was started and completed
+  router.post(
+    "/:id/transition",
+    validateBody(TRANSITION_SCHEMA),
+    apiRoute("Failed to change project status", async (req, res) => {
+      const id = projectId(req);
+      const { status } = req.body;
+      const project = await services.projects.transition(req.user, id, status);
+
+      res.json({
+        id,
+        status,
+        started_at: project.started_at,
+        completed_at: project.completed_at,
+        message: `Project moved to ${status}`,
+      });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  router.delete(
+    "/:id",
+    apiRoute("Failed to delete project", async (req, res) => {
+      const id = projectId(req);
+      await services.projects.remove(req.user, id);
+
+      res.json({ id, message: "Project deleted successfully" });
+      await changes.publish(req.log, [{ type: "deleted", id }]);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { projectId, createProjectRouter };
@@ -0,0 +1,105 @@
+const express = require("express");
+const { apiRoute } = require("../lib/errors");
+const { parseId, validateBody, validateQuery } = require("../lib/validation");
+const { listQuerySchema, paginatedResponse } = require("../lib/pagination");
+const { parseListQuery } = require("../db/lists");
+const {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_LIST,
+} = require("../db/repositories/tasks");
+const { notFound } = require("../services/errors");
+const { projectId } = require("./projects");
+
+const TASK_SCHEMA = {
+  title: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  assignee_id: { type: "integer", nullable: true, min: 1, default: null },
+  status: { type: "string", enum: TASK_STATUSES, default: "todo" },
+  priority: { type: "string", enum: TASK_PRIORITIES, default: "medium" },
+  due_date: { type: "date", nullable: true, default: null },
+};
+
+// Both ids of /api/projects/:id/tasks/:taskId
+function taskIds(req) {
+  const id = parseId(req.params.id);
+  const taskId = parseId(req.params.taskId);
+  if (!id || !taskId) throw notFound("Task");
+  return { id, taskId };
+}
+
+// /api/projects/:id/tasks: tasks nested under a project. Anyone may read
+// them; writes are checked by the task service.
+function createTaskRouter({ db, services, changes }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Supports page, per_page, status, priority, assignee_id, created_from,
+  // created_to and sort
+  router.get(
+    "/",
+    validateQuery(listQuerySchema(TASK_LIST)),
+    apiRoute("Failed to fetch tasks", async (req, res) => {
+      const id = projectId(req);
+      const listQuery = parseListQuery(
+        { ...req.validQuery, project_id: id },
+        TASK_LIST
+      );
+
+      if (!(await db.projects.exists(id))) throw notFound("Project");
+
+      const result = await db.tasks.list(listQuery);
+      res.json(paginatedResponse(req, listQuery, result));
+    })
+  );
+
+  router.post(
+    "/",
+    validateBody(TASK_SCHEMA),
+    apiRoute("Failed to create task", async (req, res) => {
+      const id = projectId(req);
+      const taskId = await services.tasks.create(req.user, id, req.body);
+
+      res
+        .status(201)
+        .json({ id: taskId, message: "Task created successfully" });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  router.get(
+    "/:taskId",
+    apiRoute("Failed to fetch task", async (req, res) => {
+      const { id, taskId } = taskIds(req);
+      const task = await db.tasks.find(id, taskId);
+      if (!task) throw notFound("Task");
+
+      res.json(task);
+    })
+  );
+
+  router.patch(
+    "/:taskId",
+    validateBody(TASK_SCHEMA, { partial: true }),
+    apiRoute("Failed to update task", async (req, res) => {
+      const { id, taskId } = taskIds(req);
+      await services.tasks.update(req.user, id, taskId, req.body);
+
+      res.json({ id: taskId, message: "Task updated successfully" });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  router.delete(
+    "/:taskId",
+    apiRoute("Failed to delete task", async (req, res) => {
+      const { id, taskId } = taskIds(req);
+      await services.tasks.remove(req.user, id, taskId);
+
+      res.json({ id: taskId, message: "Task deleted successfully" });
+      await changes.publish(req.log, [{ type: "updated", id }]);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createTaskRouter };
@@ -0,0 +1,170 @@
+const express = require("express");
+const { apiRoute } = require("../lib/errors");
+const { MIN_PASSWORD_LENGTH } = require("../lib/auth");
+const { authorize } = require("../lib/permissions");
+const { streamExport } = require("../lib/export");
+const { parseId, validateBody, validateQuery } = require("../lib/validation");
+const {
+  listQuerySchema,
+  exportQuerySchema,
+  paginatedResponse,
+} = require("../lib/pagination");
+const { parseListQuery } = require("../db/lists");
+const { USER_LIST } = require("../db/repositories/users");
+const { USER_PROJECT_LIST } = require("../db/repositories/projects");
+const { notFound } = require("../services/errors");
+
+// Request schemas (see lib/validation.js for the rule format)
+const USER_SCHEMA = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  email: {
+    type: "string",
+    required: true,
+    format: "email",
+    maxLength: 100,
+  },
+  role: { type: "string", minLength: 1, maxLength: 50, default: "user" },
+};
+
+// Users created without a password cannot sign in until one is set
+const USER_CREATE_SCHEMA = {
+  ...USER_SCHEMA,
+  password: {
+    type: "string",
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: 200,
+  },
+};
+
+const USER_UPDATE_SCHEMA = {
+  ...USER_SCHEMA,
+  active: { type: "boolean" },
+};
+
+const USER_DELETE_QUERY_SCHEMA = {
+  reassign_to: { type: "integer", min: 1 },
+};
+
+function userId(req) {
+  const id = parseId(req.params.id);
+  if (!id) throw notFound("User");
+  return id;
+}
+
+// /api/users
+function createUserRouter({ db, services, changes }) {
+  const router = express.Router();
+
+  // Supports format (csv or json), role, active, created_from, created_to
+  // and sort
+  router.get(
+    "/export",
+    validateQuery(exportQuerySchema(USER_LIST)),
+    apiRoute("Failed to export users", async (req, res) => {
+      const { columns, rows } = await db.users.exportRows(
+        parseListQuery(req.validQuery, USER_LIST)
+      );
+      await streamExport(res, rows, {
+        columns,
+        format: req.validQuery.format,
+        name: "users",
+      });
+    })
+  );
+
+  // Supports page, per_page, role, active, created_from, created_to and sort
+  router.get(
+    "/",
+    validateQuery(listQuerySchema(USER_LIST)),
+    apiRoute("Failed to fetch users", async (req, res) => {
+      const listQuery = parseListQuery(req.validQuery, USER_LIST);
+      const result = await db.users.list(listQuery);
+      res.json(paginatedResponse(req, listQuery, result));
+    })
+  );
+
+  router.post(
+    "/",
+    authorize("users:manage"),
+    validateBody(USER_CREATE_SCHEMA),
+    apiRoute("Failed to create user", async (req, res) => {
+      const id = await services.users.create(req.body);
+
+      res.status(201).json({ id, message: "User created successfully" });
+      await changes.publish(req.log);
+    })
+  );
+
+  router.get(
+    "/:id",
+    apiRoute("Failed to fetch user", async (req, res) => {
+      const user = await db.users.find(userId(req));
+      if (!user) throw notFound("User");
+
+      res.json(user);
+    })
+  );
+
+  // Everything a user is a member of. Supports page, per_page, role, status,
+  // created_from, created_to and sort.
+  router.get(
+    "/:id/projects",
+    validateQuery(listQuerySchema(USER_PROJECT_LIST)),
+    apiRoute("Failed to fetch projects", async (req, res) => {
+      const id = userId(req);
+      const listQuery = parseListQuery(
+        { ...req.validQuery, user_id: id },
+        USER_PROJECT_LIST
+      );
+
+      if (!(await db.users.exists(id))) throw notFound("User");
+
+      const result = await db.projects.listForMember(listQuery);
+      res.json(paginatedResponse(req, listQuery, result));
+    })
+  );
+
+  // Updates any subset of name, email, role and active; `{ "active": false }`
+  // deactivates a user without losing their project history
+  router.patch(
+    "/:id",
+    authorize("users:manage"),
+    validateBody(USER_UPDATE_SCHEMA, { partial: true }),
+    apiRoute("Failed to update user", async (req, res) => {
+      const id = userId(req);
+      await services.users.update(id, req.body);
+
+      res.json({ id, message: "User updated successfully" });
+    })
+  );
+
+  // Deleting a user who still owns projects is blocked with a 409 unless
+  // `?reassign_to=<user id>` names another user to take those projects over
+  router.delete(
+    "/:id",
+    authorize("users:manage"),
+    validateQuery(USER_DELETE_QUERY_SCHEMA),
+    apiRoute("Failed to delete user", async (req, res) => {
+      const id = userId(req);
+      const reassigned = await services.users.remove(
+        req.user,
+        id,
+        req.validQuery.reassign_to || null
+      );
+
+      res.json({
+        id,
+        reassigned_projects: reassigned.length,
+        message: "User deleted successfully",
+      });
+      await changes.publish(
+        req.log,
+        reassigned.map((project) => ({ type: "updated", id: project.id }))
+      );
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createUserRouter };
@@ -0,0 +1,51 @@
+const mysql = require("mysql2/promise");
+const { loadConfigOrExit } = require("./lib/config");
+const { createLogger } = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
+const { dbConfig } = require("./db/config");
+const { createDatabase } = require("./db/database");
+const { createApp } = require("./app");
+
+const config = loadConfigOrExit();
+const logger = createLogger(config.log);
+const metrics = createMetrics();
+
+// Create connection pool
+const pool = mysql.createPool(dbConfig(config.db));
+
+// Database availability, reconnecting in the background after failures. The
+// schema itself is managed by `npm run migrate` and data is only ever added
+// by `npm run seed`, never on startup.
+const db = createDatabase(pool, {
+  logger,
+  onQuery: metrics.observeQuery,
+});
+const app = createApp({ db, config, logger, metrics });
+
+// Connect to the database and start server. Refuse to serve a schema that is
+// behind the migrations; if the database is unreachable, serve degraded pages
+// and keep reconnecting in the background.
+logger.info("Connecting to database", {
+  host: config.db.host,
+  database: config.db.database,
+});
+db.monitor.start().then(() => {
+  const { up, pendingMigrations } = db.monitor.state;
+  if (up && pendingMigrations.length > 0) {
+    logger.error(
+      "Refusing to start with pending migrations; run `npm run migrate` first",
+      { pending: pendingMigrations }
+    );
+    process.exit(1);
+  }
+  if (!up) {
+    logger.warn("Database unavailable; serving limited functionality");
+  }
+
+  app.listen(config.port, () => {
+    logger.info("Server running", {
+      url: `http://localhost:${config.port}`,
+      env: config.env,
+    });
+  });
+});
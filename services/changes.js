@@ -0,0 +1,32 @@
+// Live updates for the home page and dashboard over server-sent events:
+// `stats` whenever the counters change and `project.created`,
+// `project.updated` and `project.deleted` as writes happen
+function createChangePublisher({ db, events }) {
+  let lastPublishedStats = null;
+
+  // Publish the outcome of a write that has already succeeded. Called after
+  // the response is sent, so failures are only logged, to the request's
+  // logger `log`.
+  async function publish(log, projectChanges = []) {
+    try {
+      for (const { type, id } of projectChanges) {
+        const project =
+          type === "deleted" ? { id } : await db.projects.find(id);
+        if (project) events.publish(`project.${type}`, project);
+      }
+
+      const stats = await db.statistics.summary();
+      const serialized = JSON.stringify(stats);
+      if (serialized !== lastPublishedStats) {
+        lastPublishedStats = serialized;
+        events.publish("stats", stats);
+      }
+    } catch (error) {
+      log.error("Error publishing events", { error });
+    }
+  }
+
+  return { publish };
+}
+
+module.exports = { createChangePublisher };
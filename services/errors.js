@@ -0,0 +1,20 @@
+const { ApiError } = require("../lib/errors");
+
+// Errors shared by the services. Routes throw them too, e.g. for an id that
+// can't be parsed.
+
+function notFound(what) {
+  return new ApiError(404, "not_found", `${what} not found`);
+}
+
+// 422 for a body that is well-formed but names a user that doesn't exist
+function unknownUser(field, id) {
+  return new ApiError(
+    422,
+    "invalid_reference",
+    "Request references a user that does not exist",
+    [{ field, message: `user ${id} does not exist` }]
+  );
+}
+
+module.exports = { notFound, unknownUser };
@@ -0,0 +1,74 @@
+const { ApiError } = require("../lib/errors");
+const { can, forbidden } = require("../lib/permissions");
+const { notFound, unknownUser } = require("./errors");
+
+// The primary owner (projects.user_id) stays an owner until the project is
+// reassigned
+function primaryOwnerConflict() {
+  return new ApiError(
+    409,
+    "conflict",
+    "The project's owner must stay an owner; reassign the project first"
+  );
+}
+
+// Membership writes. Owners (or a project manager) add, remove and change
+// members, and any member may leave. Failures are thrown as ApiErrors.
+function createMemberService({ db }) {
+  async function findProject(user, projectId) {
+    const project = await db.projects.findForUser(projectId, user);
+    if (!project) throw notFound("Project");
+    return project;
+  }
+
+  return {
+    async add(user, projectId, userId, role) {
+      const project = await findProject(user, projectId);
+      if (!can(user, "members:manage", project)) throw forbidden();
+      try {
+        // The user stays locked until the membership is in, so a concurrent
+        // user delete can't leave it behind
+        await db.transaction(async (tx) => {
+          if (!(await tx.users.exists(userId, { lock: true }))) {
+            throw unknownUser("user_id", userId);
+          }
+          await tx.members.add(projectId, userId, role);
+        });
+      } catch (error) {
+        if (error.code !== "ER_DUP_ENTRY") throw error;
+        throw new ApiError(
+          409,
+          "conflict",
+          "User is already a member of this project",
+          [{ field: "user_id", message: "is already a member" }]
+        );
+      }
+    },
+
+    async updateRole(user, projectId, userId, role) {
+      const project = await findProject(user, projectId);
+      if (!can(user, "members:manage", project)) throw forbidden();
+      if (userId === project.user_id && role !== "owner") {
+        throw primaryOwnerConflict();
+      }
+
+      if (!(await db.members.updateRole(projectId, userId, role))) {
+        throw notFound("Member");
+      }
+    },
+
+    async remove(user, projectId, userId) {
+      const project = await findProject(user, projectId);
+      if (userId !== user.id && !can(user, "members:manage", project)) {
+        throw forbidden();
+      }
+      if (userId === project.user_id) throw primaryOwnerConflict();
+
+      if (!(await db.members.remove(projectId, userId))) {
+        throw notFound("Member");
+      }
+    },
+  };
+}
+
+module.exports = { createMemberService };
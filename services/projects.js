@@ -0,0 +1,230 @@
+const { ApiError } = require("../lib/errors");
+const { validate } = require("../lib/validation");
+const { PROJECT_STATUSES } = require("../lib/workflow");
+const { can, forbidden } = require("../lib/permissions");
+const { notFound, unknownUser } = require("./errors");
+
+// One imported project. The owner is given by user_id or, for sheets made
+// by hand, owner_email; other columns (such as those of an export) are
+// ignored, so an export can be imported again as is.
+const PROJECT_IMPORT_SCHEMA = {
+  title: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  description: { type: "string", maxLength: 65535, default: "" },
+  status: { type: "string", enum: PROJECT_STATUSES, default: "planning" },
+  user_id: { type: "integer", min: 1 },
+  owner_email: { type: "string", format: "email", maxLength: 100 },
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Project writes: permission checks, the status workflow, ownership and the
+// activity log, each write in one transaction. Failures are thrown as
+// ApiErrors.
+function createProjectService({ db, workflow }) {
+  // Validate import rows and resolve their owners. Returns the rows ready to
+  // insert and per-row problems as `rows[<n>].<field>` (n counts data rows
+  // from 1, not including a CSV header).
+  async function prepareImport(user, records, { coerce }) {
+    const rows = [];
+    const fields = [];
+    const rowError = (index, field, message) =>
+      fields.push({ field: `rows[${index + 1}].${field}`, message });
+
+    records.forEach((record, index) => {
+      const { value, fields: problems } = validate(
+        PROJECT_IMPORT_SCHEMA,
+        record,
+        { allowUnknown: true, coerce }
+      );
+      problems.forEach(({ field, message }) =>
+        rowError(index, field || "row", message)
+      );
+      if (problems.length === 0) rows.push({ index, ...value });
+    });
+
+    const knownIds = await db.users.existingIds([
+      ...new Set(rows.map((row) => row.user_id).filter(Boolean)),
+    ]);
+    const idsByEmail = await db.users.idsByEmail([
+      ...new Set(
+        rows
+          .filter((row) => !row.user_id && row.owner_email)
+          .map((row) => row.owner_email.toLowerCase())
+      ),
+    ]);
+
+    const manager = can(user, "projects:manage");
+    const ready = [];
+    for (const row of rows) {
+      let ownerId = null;
+      if (row.user_id) {
+        if (knownIds.has(row.user_id)) ownerId = row.user_id;
+        else {
+          rowError(row.index, "user_id", `user ${row.user_id} does not exist`);
+        }
+      } else if (row.owner_email) {
+        ownerId = idsByEmail.get(row.owner_email.toLowerCase()) || null;
+        if (!ownerId) {
+          rowError(row.index, "owner_email", "does not match any user");
+        }
+      } else {
+        rowError(row.index, "user_id", "user_id or owner_email is required");
+      }
+
+      // As with create(), only managers create projects for others
+      if (ownerId && ownerId !== user.id && !manager) {
+        rowError(row.index, "user_id", "must be your own id");
+      } else if (ownerId) {
+        ready.push({ ...row, user_id: ownerId });
+      }
+    }
+
+    return { rows: ready, fields };
+  }
+
+  return {
+    // Resolves with the new project's id
+    async create(user, { title, description, user_id }) {
+      // Only project managers may create projects on someone else's behalf
+      if (user_id !== user.id && !can(user, "projects:manage")) {
+        throw forbidden();
+      }
+
+      return db.transaction(async (tx) => {
+        // Locked, as with every owner, so a concurrent user delete waits for
+        // this project rather than leaving it with a missing owner
+        if (!(await tx.users.exists(user_id, { lock: true }))) {
+          throw unknownUser("user_id", user_id);
+        }
+
+        const id = await tx.projects.create({ title, description, user_id });
+        await tx.members.set(id, user_id, "owner");
+        await tx.activity.recordCreated(await tx.projects.find(id), user);
+        return id;
+      });
+    },
+
+    // Any subset of the fields of PROJECT_UPDATE_SCHEMA. A status change must
+    // be allowed by the workflow, exactly as through transition().
+    update(user, id, values) {
+      return db.transaction(async (tx) => {
+        const project = await tx.projects.findForUser(id, user, {
+          lock: true,
+        });
+        if (!project) throw notFound("Project");
+        if (!can(user, "projects:update", project)) throw forbidden();
+
+        if (
+          values.user_id !== undefined &&
+          !(await tx.users.exists(values.user_id, { lock: true }))
+        ) {
+          throw unknownUser("user_id", values.user_id);
+        }
+
+        const { status } = values;
+        const statusChanged = status !== undefined && status !== project.status;
+        if (statusChanged) {
+          const denied = workflow.checkTransition(user, project, status);
+          if (denied) throw denied;
+        }
+
+        await tx.projects.update(id, values, { statusChanged });
+        if (values.user_id !== undefined) {
+          await tx.members.transferOwnership(
+            id,
+            project.user_id,
+            values.user_id
+          );
+        }
+        await tx.activity.recordUpdated(project, values, user);
+      });
+    },
+
+    // Move a project along the status workflow (lib/workflow.js). Resolves
+    // with the updated project.
+    transition(user, id, status) {
+      return db.transaction(async (tx) => {
+        const project = await tx.projects.findForUser(id, user, {
+          lock: true,
+        });
+        if (!project) throw notFound("Project");
+
+        const denied = workflow.checkTransition(user, project, status);
+        if (denied) throw denied;
+
+        await tx.projects.update(id, { status }, { statusChanged: true });
+        await tx.activity.recordUpdated(project, { status }, user);
+        return tx.projects.find(id);
+      });
+    },
+
+    remove(user, id) {
+      return db.transaction(async (tx) => {
+        const project = await tx.projects.findForUser(id, user, {
+          lock: true,
+        });
+        if (!project) throw notFound("Project");
+        if (!can(user, "projects:delete", project)) throw forbidden();
+
+        await tx.activity.recordDeleted(project, user);
+        await tx.projects.remove(id);
+      });
+    },
+
+    // Bulk-create projects from parsed JSON or CSV records. Every row is
+    // checked first; if any is invalid the error lists each problem and
+    // nothing is inserted. Resolves with the new ids.
+    async importProjects(user, records, { coerce = false } = {}) {
+      if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(
+          400,
+          "validation_failed",
+          `An import must contain between 1 and ${MAX_IMPORT_ROWS} rows`
+        );
+      }
+
+      const { rows, fields } = await prepareImport(user, records, { coerce });
+      if (fields.length > 0) {
+        const invalidRows = new Set(
+          fields.map(({ field }) => field.split(".")[0])
+        ).size;
+        throw new ApiError(
+          400,
+          "validation_failed",
+          `${invalidRows} of ${records.length} rows are invalid; nothing was imported`,
+          fields
+        );
+      }
+
+      return db.transaction(async (tx) => {
+        // Owners were looked up before the transaction; lock them now so
+        // none can be deleted before their projects are in
+        const checked = new Set();
+        for (const row of rows) {
+          if (checked.has(row.user_id)) continue;
+          if (!(await tx.users.exists(row.user_id, { lock: true }))) {
+            throw unknownUser(`rows[${row.index + 1}].user_id`, row.user_id);
+          }
+          checked.add(row.user_id);
+        }
+
+        const ids = [];
+        for (const row of rows) {
+          const project = {
+            title: row.title,
+            description: row.description,
+            status: row.status,
+            user_id: row.user_id,
+          };
+          const id = await tx.projects.create(project);
+          await tx.members.set(id, row.user_id, "owner");
+          await tx.activity.recordCreated({ id, ...project }, user);
+          ids.push(id);
+        }
+        return ids;
+      });
+    },
+  };
+}
+
+module.exports = { createProjectService };
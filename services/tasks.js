@@ -0,0 +1,69 @@
+const { can, forbidden } = require("../lib/permissions");
+const { notFound, unknownUser } = require("./errors");
+
+// Task writes. The project's owners and contributors (or a project manager)
+// manage its tasks, and a task's assignee may change its status. Failures are
+// thrown as ApiErrors.
+function createTaskService({ db }) {
+  // Locks the assignee for the rest of the transaction, so a concurrent
+  // user delete can't leave the task assigned to a missing user
+  async function assertAssignee(tx, assigneeId) {
+    if (
+      assigneeId !== undefined &&
+      assigneeId !== null &&
+      !(await tx.users.exists(assigneeId, { lock: true }))
+    ) {
+      throw unknownUser("assignee_id", assigneeId);
+    }
+  }
+
+  // The project (with the user's role on it) and the task, or a 404
+  async function findTask(user, projectId, taskId) {
+    const project = await db.projects.findForUser(projectId, user);
+    const task = project && (await db.tasks.find(projectId, taskId));
+    if (!task) throw notFound("Task");
+    return { project, task };
+  }
+
+  return {
+    // Resolves with the new task's id
+    async create(user, projectId, values) {
+      const project = await db.projects.findForUser(projectId, user);
+      if (!project) throw notFound("Project");
+      if (!can(user, "tasks:manage", project)) throw forbidden();
+
+      return db.transaction(async (tx) => {
+        await assertAssignee(tx, values.assignee_id);
+        return tx.tasks.create(projectId, values);
+      });
+    },
+
+    async update(user, projectId, taskId, values) {
+      const { project, task } = await findTask(user, projectId, taskId);
+
+      const statusOnly = Object.keys(values).every(
+        (column) => column === "status"
+      );
+      if (
+        !can(user, "tasks:manage", project) &&
+        !(statusOnly && task.assignee_id === user.id)
+      ) {
+        throw forbidden();
+      }
+
+      await db.transaction(async (tx) => {
+        await assertAssignee(tx, values.assignee_id);
+        await tx.tasks.update(taskId, values);
+      });
+    },
+
+    async remove(user, projectId, taskId) {
+      const { project } = await findTask(user, projectId, taskId);
+      if (!can(user, "tasks:manage", project)) throw forbidden();
+
+      await db.tasks.remove(taskId);
+    },
+  };
+}
+
+module.exports = { createTaskService };
@@ -0,0 +1,100 @@
+const { ApiError } = require("../lib/errors");
+const { hashPassword, verifyPassword } = require("../lib/auth");
+const { notFound, unknownUser } = require("./errors");
+
+function emailInUse() {
+  return new ApiError(409, "conflict", "Email is already in use", [
+    { field: "email", message: "is already in use" },
+  ]);
+}
+
+// User writes. Failures are thrown as ApiErrors.
+function createUserService({ db }) {
+  return {
+    // Users created without a password cannot sign in until one is set.
+    // Resolves with the new user's id.
+    async create({ name, email, role, password }) {
+      const passwordHash = password ? await hashPassword(password) : null;
+      try {
+        return await db.users.create({ name, email, role, passwordHash });
+      } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") throw emailInUse();
+        throw error;
+      }
+    },
+
+    async update(id, values) {
+      let updated;
+      try {
+        updated = await db.users.update(id, values);
+      } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") throw emailInUse();
+        throw error;
+      }
+      if (!updated) throw notFound("User");
+    },
+
+    // Deleting a user who still owns projects is refused unless `reassignTo`
+    // names another user to take those projects over. Resolves with the
+    // projects that were reassigned.
+    remove(actor, id, reassignTo = null) {
+      if (reassignTo === id) {
+        throw new ApiError(
+          400,
+          "validation_failed",
+          "Query parameters are invalid",
+          [{ field: "reassign_to", message: "must be a different user" }]
+        );
+      }
+
+      return db.transaction(async (tx) => {
+        if (!(await tx.users.exists(id, { lock: true }))) {
+          throw notFound("User");
+        }
+
+        const owned = await tx.projects.findOwnedBy(id);
+        if (owned.length > 0 && !reassignTo) {
+          throw new ApiError(
+            409,
+            "conflict",
+            `User owns ${owned.length} project(s); pass reassign_to to transfer them before deleting`
+          );
+        }
+
+        if (owned.length > 0) {
+          if (!(await tx.users.exists(reassignTo, { lock: true }))) {
+            throw unknownUser("reassign_to", reassignTo);
+          }
+
+          await tx.projects.reassignAll(id, reassignTo);
+          for (const project of owned) {
+            await tx.members.transferOwnership(project.id, id, reassignTo);
+            await tx.activity.recordUpdated(
+              project,
+              { user_id: reassignTo },
+              actor
+            );
+          }
+        }
+
+        await tx.users.remove(id);
+        return owned;
+      });
+    },
+
+    // Verify the current password and store a new one, signing every other
+    // session out. Resolves to false when the current password is wrong.
+    async changePassword(user, sessionToken, currentPassword, newPassword) {
+      const passwordHash = await db.users.findPasswordHash(user.id);
+      if (!(await verifyPassword(currentPassword, passwordHash))) {
+        return false;
+      }
+
+      await db.users.setPasswordHash(user.id, await hashPassword(newPassword));
+      await db.auth.deleteOtherSessions(user.id, sessionToken);
+      return true;
+    },
+  };
+}
+
+module.exports = { createUserService };
@@ -0,0 +1,260 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createLogger } = require("../lib/logger");
+const { createApp } = require("../app");
+const { createTestApp, adminToken } = require("./helpers");
+
+describe("/api", () => {
+  let app;
+  let db;
+  let close;
+  let token;
+
+  before(async () => {
+    ({ app, db, close } = await createTestApp());
+    token = await adminToken(app);
+  });
+
+  after(() => close());
+
+  describe("GET /api/stats", () => {
+    it("counts users and projects by status", async () => {
+      const res = await request(app).get("/api/stats").expect(200);
+
+      assert.deepEqual(res.body, {
+        total_users: 2,
+        total_projects: 3,
+        completed_projects: 1,
+        active_projects: 1,
+      });
+    });
+  });
+
+  describe("GET /api/users", () => {
+    it("lists users a page at a time", async () => {
+      const res = await request(app)
+        .get("/api/users?per_page=1&sort=email")
+        .expect(200);
+
+      assert.equal(res.body.data.length, 1);
+      assert.equal(res.body.data[0].email, "admin@test.local");
+      assert.equal(res.body.data[0].password_hash, undefined);
+      assert.deepEqual(res.body.pagination, {
+        page: 1,
+        per_page: 1,
+        total: 2,
+        total_pages: 2,
+        next: "/api/users?per_page=1&sort=email&page=2",
+        prev: null,
+      });
+    });
+
+    it("filters by role", async () => {
+      const res = await request(app)
+        .get("/api/users?role=developer")
+        .expect(200);
+
+      assert.deepEqual(
+        res.body.data.map((user) => user.email),
+        ["developer@test.local"]
+      );
+    });
+
+    it("rejects invalid query parameters", async () => {
+      const res = await request(app).get("/api/users?per_page=0").expect(400);
+
+      assert.equal(res.body.error.code, "validation_failed");
+      assert.equal(res.body.error.fields[0].field, "per_page");
+    });
+
+    it("returns one user, or a 404", async () => {
+      const list = await request(app).get("/api/users").expect(200);
+      const { id } = list.body.data[0];
+
+      const res = await request(app).get(`/api/users/${id}`).expect(200);
+      assert.equal(res.body.id, id);
+
+      await request(app).get("/api/users/999999").expect(404);
+      await request(app).get("/api/users/abc").expect(404);
+    });
+  });
+
+  describe("GET /api/projects", () => {
+    it("lists projects with their owner and progress", async () => {
+      const res = await request(app).get("/api/projects").expect(200);
+
+      assert.equal(res.body.pagination.total, 3);
+      const project = res.body.data.find(
+        ({ title }) => title === "Active Project"
+      );
+      assert.equal(project.user_name, "Test Developer");
+      assert.equal(project.member_count, 1);
+      assert.equal(project.task_count, 0);
+    });
+
+    it("filters by status", async () => {
+      const res = await request(app)
+        .get("/api/projects?status=completed")
+        .expect(200);
+
+      assert.deepEqual(
+        res.body.data.map((project) => project.title),
+        ["Finished Project"]
+      );
+    });
+  });
+
+  describe("POST /api/projects", () => {
+    it("requires authentication", async () => {
+      const res = await request(app)
+        .post("/api/projects")
+        .send({ title: "Anonymous", user_id: 1 })
+        .expect(401);
+
+      assert.equal(res.body.error.code, "unauthorized");
+    });
+
+    it("validates the body", async () => {
+      const res = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ description: "No title" })
+        .expect(400);
+
+      assert.deepEqual(res.body.error.fields.map(({ field }) => field).sort(), [
+        "title",
+        "user_id",
+      ]);
+    });
+
+    it("rejects an owner that does not exist", async () => {
+      const res = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Orphan", user_id: 999999 })
+        .expect(422);
+
+      assert.equal(res.body.error.code, "invalid_reference");
+    });
+
+    it("creates a project owned by its user", async () => {
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+
+      const created = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ title: "Created In Test", user_id: me.body.id })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/projects/${created.body.id}`)
+        .expect(200);
+      assert.equal(res.body.title, "Created In Test");
+      assert.equal(res.body.status, "planning");
+      assert.equal(res.body.user_id, me.body.id);
+
+      const members = await request(app)
+        .get(`/api/projects/${created.body.id}/members`)
+        .expect(200);
+      assert.deepEqual(
+        members.body.map(({ user_id, role }) => ({ user_id, role })),
+        [{ user_id: me.body.id, role: "owner" }]
+      );
+
+      const stats = await request(app).get("/api/stats").expect(200);
+      assert.equal(stats.body.total_projects, 4);
+    });
+  });
+
+  describe("GET /api/search", () => {
+    it("finds projects and users by word prefixes", async () => {
+      const res = await request(app)
+        .get("/api/search?q=finish%20proj")
+        .expect(200);
+
+      assert.equal(res.body.data[0].type, "project");
+      assert.equal(res.body.data[0].title, "Finished Project");
+      assert.deepEqual(res.body.data[0].title_highlights, [
+        [0, 6],
+        [9, 13],
+      ]);
+    });
+
+    it("narrows the search to one type", async () => {
+      const res = await request(app)
+        .get("/api/search?q=developer&type=user")
+        .expect(200);
+
+      assert.deepEqual(
+        res.body.data.map(({ type, title }) => ({ type, title })),
+        [{ type: "user", title: "Test Developer" }]
+      );
+    });
+
+    it("rejects a missing query or an unknown type", async () => {
+      const res = await request(app).get("/api/search?type=task").expect(400);
+
+      assert.deepEqual(res.body.error.fields.map(({ field }) => field).sort(), [
+        "q",
+        "type",
+      ]);
+    });
+  });
+
+  describe("GET /api/activity", () => {
+    it("lists activity across projects, newest first", async () => {
+      const res = await request(app)
+        .get("/api/activity?action=created")
+        .expect(200);
+
+      assert.equal(res.body.data[0].project_title, "Created In Test");
+      assert.equal(
+        res.body.data[0].summary,
+        "Test Admin created “Created In Test”"
+      );
+    });
+
+    it("rejects an unknown action", async () => {
+      const res = await request(app)
+        .get("/api/activity?action=archived")
+        .expect(400);
+
+      assert.equal(res.body.error.fields[0].field, "action");
+    });
+  });
+
+  describe("GET /api/workflow", () => {
+    it("describes the statuses and allowed transitions", async () => {
+      const res = await request(app).get("/api/workflow").expect(200);
+
+      assert.deepEqual(res.body.statuses, [
+        "planning",
+        "in-progress",
+        "completed",
+      ]);
+      assert.ok(
+        res.body.transitions.some(
+          ({ from, to }) => from === "planning" && to === "in-progress"
+        )
+      );
+    });
+
+    it("serves the transitions the app was built with", async () => {
+      const transitions = [
+        { from: "planning", to: "completed", requires: "projects:manage" },
+      ];
+      const custom = createApp({
+        db,
+        logger: createLogger({ level: "silent" }),
+        transitions,
+      });
+
+      const res = await request(custom).get("/api/workflow").expect(200);
+      assert.deepEqual(res.body.transitions, transitions);
+    });
+  });
+});
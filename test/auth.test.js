@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  createTestApp,
+  adminToken,
+  tokenFor,
+  createTestUser,
+  TEST_PASSWORD,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+} = require("./helpers");
+
+describe("/api/auth", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+  });
+
+  after(() => close());
+
+  describe("POST /api/auth/tokens", () => {
+    it("exchanges an email and password for a bearer token", async () => {
+      const res = await request(app)
+        .post("/api/auth/tokens")
+        .send({ email: ADMIN_EMAIL, password: TEST_PASSWORD, name: "ci" })
+        .expect(201);
+
+      assert.equal(res.body.name, "ci");
+      assert.equal(res.body.token_type, "Bearer");
+      assert.match(res.body.token, /^[0-9a-f]{64}$/);
+    });
+
+    it("rejects a wrong password or an unknown email alike", async () => {
+      for (const credentials of [
+        { email: ADMIN_EMAIL, password: "wrong-password" },
+        { email: "nobody@test.local", password: TEST_PASSWORD },
+      ]) {
+        const res = await request(app)
+          .post("/api/auth/tokens")
+          .send(credentials)
+          .expect(401);
+        assert.equal(res.body.error.message, "Invalid email or password");
+      }
+    });
+
+    it("validates the body", async () => {
+      const res = await request(app)
+        .post("/api/auth/tokens")
+        .send({ email: ADMIN_EMAIL })
+        .expect(400);
+      assert.equal(res.body.error.fields[0].field, "password");
+    });
+  });
+
+  describe("GET /api/auth/me", () => {
+    it("returns the signed-in user with their permissions", async () => {
+      const res = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${await tokenFor(app, DEVELOPER_EMAIL)}`)
+        .expect(200);
+
+      assert.equal(res.body.email, DEVELOPER_EMAIL);
+      assert.ok(res.body.permissions.includes("projects:create"));
+      assert.ok(!res.body.permissions.includes("users:manage"));
+      assert.deepEqual(res.body.member_actions.contributor, ["tasks:manage"]);
+    });
+
+    it("requires authentication", async () => {
+      await request(app).get("/api/auth/me").expect(401);
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", "Bearer not-a-token")
+        .expect(401);
+    });
+  });
+
+  describe("GET and DELETE /api/auth/tokens", () => {
+    it("lists a user's tokens and revokes one", async () => {
+      const token = await tokenFor(app, DEVELOPER_EMAIL);
+      const list = await request(app)
+        .get("/api/auth/tokens")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      assert.ok(list.body.length > 0);
+      assert.equal(list.body[0].token_hash, undefined);
+
+      for (const { id } of list.body) {
+        await request(app)
+          .delete(`/api/auth/tokens/${id}`)
+          .set("Authorization", `Bearer ${token}`)
+          .expect(200);
+      }
+      await request(app)
+        .get("/api/auth/tokens")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it("only revokes the user's own tokens", async () => {
+      const token = await adminToken(app);
+      const [own] = (
+        await request(app)
+          .get("/api/auth/tokens")
+          .set("Authorization", `Bearer ${token}`)
+          .expect(200)
+      ).body;
+
+      const res = await request(app)
+        .delete(`/api/auth/tokens/${own.id}`)
+        .set("Authorization", `Bearer ${await tokenFor(app, DEVELOPER_EMAIL)}`)
+        .expect(404);
+      assert.equal(res.body.error.code, "not_found");
+    });
+  });
+
+  describe("POST /api/auth/password", () => {
+    it("changes the password after checking the current one", async () => {
+      const user = await createTestUser(app, await adminToken(app), {
+        name: "Password Changer",
+        email: "changer@test.local",
+      });
+
+      const wrong = await request(app)
+        .post("/api/auth/password")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({
+          current_password: "wrong-password",
+          new_password: "a-new-password",
+        })
+        .expect(400);
+      assert.equal(wrong.body.error.fields[0].field, "current_password");
+
+      await request(app)
+        .post("/api/auth/password")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({
+          current_password: TEST_PASSWORD,
+          new_password: "a-new-password",
+        })
+        .expect(200);
+
+      await request(app)
+        .post("/api/auth/tokens")
+        .send({ email: user.email, password: TEST_PASSWORD })
+        .expect(401);
+      await request(app)
+        .post("/api/auth/tokens")
+        .send({ email: user.email, password: "a-new-password" })
+        .expect(201);
+    });
+
+    it("rejects a new password that is too short", async () => {
+      const res = await request(app)
+        .post("/api/auth/password")
+        .set("Authorization", `Bearer ${await adminToken(app)}`)
+        .send({ current_password: TEST_PASSWORD, new_password: "short" })
+        .expect(400);
+      assert.equal(res.body.error.fields[0].field, "new_password");
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// loadConfig() against temporary directories of .env files; needs no
+// database or environment of its own
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ConfigError, loadConfig } = require("../lib/config");
+
+const DATABASE = { DB_HOST: "db.local", DB_USER: "app", DB_NAME: "app" };
+
+describe("loadConfig", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, contents) {
+    fs.writeFileSync(path.join(dir, name), contents);
+  }
+
+  // The problems a ConfigError lists for `source`
+  function problems(source) {
+    try {
+      loadConfig(source, { dir });
+    } catch (error) {
+      assert.ok(error instanceof ConfigError);
+      return error.problems;
+    }
+    assert.fail("expected a ConfigError");
+  }
+
+  it("applies the defaults of the environment", () => {
+    const config = loadConfig(
+      { ...DATABASE, NODE_ENV: "production", DB_PASSWORD: "secret" },
+      { dir }
+    );
+
+    assert.equal(config.env, "production");
+    assert.equal(config.port, 3000);
+    assert.equal(config.db.sslMode, "required");
+    assert.equal(config.db.connectionLimit, 20);
+    assert.deepEqual(config.log, { level: "info", format: "json" });
+    assert.equal(config.metrics.token, null);
+    assert.ok(Object.isFrozen(config) && Object.isFrozen(config.db));
+  });
+
+  it("lists every missing variable at once", () => {
+    assert.deepEqual(problems({ NODE_ENV: "production" }), [
+      "DB_HOST is required",
+      "DB_USER is required",
+      "DB_PASSWORD is required",
+      "DB_NAME is required",
+    ]);
+  });
+
+  it("rejects values out of range", () => {
+    assert.deepEqual(
+      problems({
+        ...DATABASE,
+        NODE_ENV: "staging",
+        PORT: "70000",
+        LOG_LEVEL: "verbose",
+      }),
+      [
+        "NODE_ENV must be one of: development, test, production",
+        "PORT must be an integer from 1 to 65535",
+        "LOG_LEVEL must be one of: debug, info, warn, error, silent",
+      ]
+    );
+  });
+
+  it("requires a CA certificate for verify-ca", () => {
+    assert.deepEqual(problems({ ...DATABASE, DB_SSL_MODE: "verify-ca" }), [
+      "DB_SSL_CA (a CA certificate file) is required when DB_SSL_MODE is verify-ca",
+    ]);
+  });
+
+  it("reports a CA certificate that cannot be read", () => {
+    const [problem, ...rest] = problems({
+      ...DATABASE,
+      DB_SSL_MODE: "verify-ca",
+      DB_SSL_CA: "missing-ca.pem",
+    });
+
+    assert.match(problem, /^DB_SSL_CA cannot be read: ENOENT/);
+    assert.deepEqual(rest, []);
+  });
+
+  it("reads the CA certificate relative to the directory", () => {
+    writeFile("ca.pem", "-----BEGIN CERTIFICATE-----\n");
+
+    const config = loadConfig(
+      { ...DATABASE, DB_SSL_MODE: "verify-ca", DB_SSL_CA: "ca.pem" },
+      { dir }
+    );
+    assert.equal(config.db.sslCa, "-----BEGIN CERTIFICATE-----\n");
+  });
+
+  it("lets .env.<env> override .env and the environment's defaults", () => {
+    writeFile(
+      ".env",
+      "NODE_ENV=test\nDB_HOST=db.local\nDB_USER=app\nDB_NAME=app\nLOG_LEVEL=warn\nPORT=4000\n"
+    );
+    writeFile(".env.test", "LOG_LEVEL=debug\nDB_CONNECTION_LIMIT=2\n");
+
+    const config = loadConfig({}, { dir });
+    assert.equal(config.env, "test");
+    assert.equal(config.port, 4000);
+    assert.equal(config.log.level, "debug");
+    assert.equal(config.db.connectionLimit, 2);
+    assert.equal(config.db.sslMode, "disabled");
+  });
+
+  it("prefers the process environment over any file", () => {
+    writeFile(".env.test", "LOG_LEVEL=debug\n");
+
+    const config = loadConfig(
+      { ...DATABASE, NODE_ENV: "test", LOG_LEVEL: "silent" },
+      { dir }
+    );
+    assert.equal(config.log.level, "silent");
+  });
+});
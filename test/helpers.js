@@ -0,0 +1,145 @@
+// Shared setup for the integration tests. Each test file gets a throwaway
+// MySQL database, built by the migrations (the same schema `npm run migrate`
+// creates) and filled with the "test" fixture set, on the server configured
+// by DB_HOST, DB_PORT, DB_USER and DB_PASSWORD (e.g. in .env).
+const crypto = require("crypto");
+const mysql = require("mysql2/promise");
+const request = require("supertest");
+const { loadConfig } = require("../lib/config");
+const { createLogger } = require("../lib/logger");
+const { createMetrics } = require("../lib/metrics");
+const { dbConfig, initialDbConfig } = require("../db/config");
+const { createDatabase } = require("../db/database");
+const { migrate } = require("../db/migrator");
+const { seed } = require("../db/seeder");
+const { createApp } = require("../app");
+
+const config = loadConfig({ ...process.env, NODE_ENV: "test" });
+const logger = createLogger(config.log);
+
+const TEST_PASSWORD = "test-password";
+const ADMIN_EMAIL = "admin@test.local";
+const DEVELOPER_EMAIL = "developer@test.local";
+
+async function withServerConnection(work) {
+  const connection = await mysql.createConnection(initialDbConfig(config.db));
+  try {
+    return await work(connection);
+  } finally {
+    await connection.end();
+  }
+}
+
+// An app backed by a fresh database. Call `close()` when done; it drops the
+// database again.
+async function createTestApp() {
+  const name = `${config.db.database}_test_${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+  await withServerConnection((connection) =>
+    connection.query(`CREATE DATABASE \`${name}\``)
+  );
+
+  const pool = mysql.createPool({ ...dbConfig(config.db), database: name });
+  const metrics = createMetrics();
+  const db = createDatabase(pool, { logger, onQuery: metrics.observeQuery });
+  try {
+    const connection = await pool.getConnection();
+    try {
+      await migrate(connection);
+      await seed(connection, "test");
+    } finally {
+      connection.release();
+    }
+    await db.monitor.start();
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  async function close() {
+    await db.close();
+    await withServerConnection((connection) =>
+      connection.query(`DROP DATABASE IF EXISTS \`${name}\``)
+    );
+  }
+
+  return { app: createApp({ db, config, logger, metrics }), db, close };
+}
+
+// An app whose database can't be reached, for the degraded paths. `env` sets
+// further configuration variables.
+async function createUnreachableApp({ env = {} } = {}) {
+  const pool = mysql.createPool({
+    ...dbConfig(config.db),
+    host: "127.0.0.1",
+    // Nothing listens on the discard port
+    port: 9,
+    connectTimeout: 1000,
+  });
+  const db = createDatabase(pool, { logger });
+  await db.monitor.start();
+
+  return {
+    app: createApp({
+      db,
+      config: loadConfig({ ...process.env, NODE_ENV: "test", ...env }),
+      logger,
+    }),
+    db,
+    close: () => db.close(),
+  };
+}
+
+// A bearer token for one of the fixture users
+async function tokenFor(app, email) {
+  const res = await request(app)
+    .post("/api/auth/tokens")
+    .send({ email, password: TEST_PASSWORD })
+    .expect(201);
+  return res.body.token;
+}
+
+function adminToken(app) {
+  return tokenFor(app, ADMIN_EMAIL);
+}
+
+// A user (as /api/auth/me returns them) along with a fresh token of theirs
+async function signIn(app, email) {
+  const token = await tokenFor(app, email);
+  const res = await request(app)
+    .get("/api/auth/me")
+    .set("Authorization", `Bearer ${token}`)
+    .expect(200);
+  return { ...res.body, token };
+}
+
+// A user beyond the fixtures, created through the API by an admin with the
+// test password, and signed in
+async function createTestUser(app, token, { name, email, role = "user" }) {
+  await request(app)
+    .post("/api/users")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ name, email, role, password: TEST_PASSWORD })
+    .expect(201);
+  return signIn(app, email);
+}
+
+// The id of a fixture project, looked up by its title
+async function projectIdByTitle(app, title) {
+  const res = await request(app).get("/api/projects?per_page=100").expect(200);
+  return res.body.data.find((project) => project.title === title).id;
+}
+
+module.exports = {
+  TEST_PASSWORD,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+  createTestApp,
+  createUnreachableApp,
+  tokenFor,
+  adminToken,
+  signIn,
+  createTestUser,
+  projectIdByTitle,
+};
@@ -0,0 +1,281 @@
+// Unit tests for the lib/ modules that need no database; unlike the
+// integration tests, these run without MySQL or any configuration
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const csv = require("../lib/csv");
+const { hashPassword, verifyPassword } = require("../lib/auth");
+const { statementLabel } = require("../lib/metrics");
+const { createWorkflow } = require("../lib/workflow");
+const { validate, parseId } = require("../lib/validation");
+const { listQuerySchema } = require("../lib/pagination");
+const { PROJECT_LIST } = require("../db/repositories/projects");
+
+describe("statementLabel", () => {
+  it("gives every page of a list the same label", () => {
+    const labels = new Set(
+      [1, 2, 3, 4, 5].map((page) =>
+        statementLabel(
+          `SELECT id FROM projects ORDER BY id LIMIT 20 OFFSET ${
+            (page - 1) * 20
+          }`
+        )
+      )
+    );
+
+    assert.deepEqual(
+      [...labels],
+      ["SELECT id FROM projects ORDER BY id LIMIT ? OFFSET ?"]
+    );
+  });
+
+  it("collapses whitespace and placeholder lists", () => {
+    assert.equal(
+      statementLabel("SELECT id\n  FROM users\n  WHERE id IN (?, ?, ?)"),
+      "SELECT id FROM users WHERE id IN (?)"
+    );
+  });
+
+  it("leaves identifiers containing digits alone", () => {
+    assert.equal(
+      statementLabel("SELECT t1.id FROM tasks t1 LIMIT 5"),
+      "SELECT t1.id FROM tasks t1 LIMIT ?"
+    );
+  });
+});
+
+describe("validate", () => {
+  const schema = {
+    name: { type: "string", required: true, minLength: 1, maxLength: 10 },
+    email: { type: "string", format: "email" },
+    role: { type: "string", enum: ["admin", "user"], default: "user" },
+    assignee_id: { type: "integer", nullable: true, min: 1 },
+  };
+
+  it("trims strings and fills in defaults", () => {
+    assert.deepEqual(validate(schema, { name: "  Ada " }), {
+      value: { name: "Ada", role: "user" },
+      fields: [],
+    });
+  });
+
+  it("lists every violation", () => {
+    const { fields } = validate(schema, {
+      email: "not-an-email",
+      role: "owner",
+      assignee_id: 0,
+      extra: true,
+    });
+
+    assert.deepEqual(fields, [
+      { field: "extra", message: "is not allowed" },
+      { field: "name", message: "is required" },
+      { field: "email", message: "must be a valid email address" },
+      { field: "role", message: "must be one of: admin, user" },
+      { field: "assignee_id", message: "must be at least 1" },
+    ]);
+  });
+
+  it("accepts null only for nullable fields", () => {
+    assert.deepEqual(
+      validate(schema, { name: null, assignee_id: null }).fields,
+      [{ field: "name", message: "cannot be null" }]
+    );
+  });
+
+  it("needs at least one field for a partial update, without defaults", () => {
+    assert.deepEqual(validate(schema, {}, { partial: true }).fields, [
+      { field: null, message: "at least one field is required" },
+    ]);
+    assert.deepEqual(
+      validate(schema, { email: "a@b.co" }, { partial: true }).value,
+      { email: "a@b.co" }
+    );
+  });
+
+  it("parses query string values only when coercing", () => {
+    const rules = {
+      page: { type: "integer" },
+      active: { type: "boolean" },
+    };
+
+    assert.deepEqual(
+      validate(rules, { page: "2", active: "false" }, { coerce: true }).value,
+      { page: 2, active: false }
+    );
+    assert.deepEqual(
+      validate(rules, { page: "2", active: "false" }).fields.map(
+        ({ field }) => field
+      ),
+      ["page", "active"]
+    );
+  });
+
+  it("accepts list pages up to the cap, coercing query strings", () => {
+    const schema = listQuerySchema(PROJECT_LIST);
+
+    assert.equal(
+      validate(schema, { page: "3" }, { coerce: true }).value.page,
+      3
+    );
+    assert.deepEqual(
+      validate(schema, { page: "10001" }, { coerce: true }).fields,
+      [{ field: "page", message: "must be at most 10000" }]
+    );
+  });
+
+  it("rejects integers too large to be exact", () => {
+    const schema = { page: { type: "integer", min: 1 } };
+
+    assert.deepEqual(
+      validate(schema, { page: "99999999999999999999" }, { coerce: true })
+        .fields,
+      [{ field: "page", message: "must be an integer" }]
+    );
+    assert.equal(parseId("99999999999999999999"), null);
+    assert.equal(parseId("42"), 42);
+  });
+});
+
+describe("validate dates", () => {
+  const schema = { due_date: { type: "date" } };
+
+  it("accepts real calendar dates", () => {
+    assert.deepEqual(validate(schema, { due_date: "2024-02-29" }).fields, []);
+  });
+
+  it("rejects dates that don't exist", () => {
+    for (const due_date of ["2024-02-31", "2023-02-29", "2024-13-01"]) {
+      assert.deepEqual(validate(schema, { due_date }).fields, [
+        { field: "due_date", message: "must be a date in YYYY-MM-DD format" },
+      ]);
+    }
+  });
+});
+
+describe("csv", () => {
+  it("quotes cells that need it and defuses formulas", () => {
+    assert.equal(
+      csv.formatRow([1, 'say "hi"', "a,b", null, "=SUM(A1)", -5]),
+      '1,"say ""hi""","a,b",,\'=SUM(A1),-5\r\n'
+    );
+    assert.equal(
+      csv.formatRow([new Date("2024-01-02T03:04:05Z")]),
+      "2024-01-02T03:04:05.000Z\r\n"
+    );
+  });
+
+  it("parses quoted fields, both line endings and a byte order mark", () => {
+    assert.deepEqual(
+      csv.parse('\ufeffa,b\r\n"x, ""y""","multi\nline"\n\n1,2'),
+      [
+        ["a", "b"],
+        ['x, "y"', "multi\nline"],
+        ["1", "2"],
+      ]
+    );
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    assert.throws(() => csv.parse('a,"b\n1,2'), /unterminated quoted field/);
+  });
+
+  it("keys records by the trimmed header, leaving out empty cells", () => {
+    assert.deepEqual(
+      csv.parseRecords(" title ,status,user_id\nFirst,,3\nSecond,completed"),
+      [
+        { title: "First", user_id: "3" },
+        { title: "Second", status: "completed" },
+      ]
+    );
+  });
+
+  it("reads exported text back as it was", () => {
+    const exported =
+      csv.formatRow(["title", "description", "note"]) +
+      csv.formatRow(["-1 launch", "=SUM(A1)", "'quoted'"]);
+
+    assert.equal(exported.split("\r\n")[1], "'-1 launch,'=SUM(A1),'quoted'");
+    assert.deepEqual(csv.parseRecords(exported), [
+      { title: "-1 launch", description: "=SUM(A1)", note: "'quoted'" },
+    ]);
+  });
+});
+
+describe("workflow", () => {
+  const workflow = createWorkflow();
+  const admin = { id: 1, role: "admin" };
+  const owner = { id: 2, role: "developer" };
+  const stranger = { id: 3, role: "developer" };
+  const project = (status) => ({ id: 10, user_id: owner.id, status });
+
+  it("lets the owner move a project along the workflow", () => {
+    assert.equal(
+      workflow.checkTransition(owner, project("planning"), "in-progress"),
+      null
+    );
+    assert.equal(
+      workflow.checkTransition(owner, project("in-progress"), "completed"),
+      null
+    );
+  });
+
+  it("rejects moves that aren't transitions", () => {
+    for (const [from, to] of [
+      ["planning", "completed"],
+      ["planning", "planning"],
+    ]) {
+      const error = workflow.checkTransition(admin, project(from), to);
+      assert.equal(error.status, 409);
+      assert.equal(error.code, "conflict");
+    }
+  });
+
+  it("checks the permission each transition requires", () => {
+    const start = workflow.checkTransition(
+      stranger,
+      project("planning"),
+      "in-progress"
+    );
+    assert.equal(start.status, 403);
+
+    const reset = workflow.checkTransition(
+      owner,
+      project("completed"),
+      "planning"
+    );
+    assert.equal(reset.status, 403);
+    assert.match(reset.message, /projects:manage/);
+    assert.equal(
+      workflow.checkTransition(admin, project("completed"), "planning"),
+      null
+    );
+  });
+
+  it("can be built from other transitions", () => {
+    const strict = createWorkflow([
+      { from: "planning", to: "in-progress", requires: "projects:manage" },
+    ]);
+
+    assert.equal(
+      strict.checkTransition(owner, project("planning"), "in-progress").status,
+      403
+    );
+    assert.equal(
+      strict.checkTransition(admin, project("in-progress"), "completed").status,
+      409
+    );
+  });
+});
+
+describe("passwords", () => {
+  it("verifies a password against its hash", async () => {
+    const hash = await hashPassword("correct horse");
+
+    assert.equal(await verifyPassword("correct horse", hash), true);
+    assert.equal(await verifyPassword("wrong horse", hash), false);
+  });
+
+  it("rejects every password when there is no hash", async () => {
+    assert.equal(await verifyPassword("anything", null), false);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  createTestApp,
+  signIn,
+  createTestUser,
+  projectIdByTitle,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+} = require("./helpers");
+
+describe("/api/projects/:id/members", () => {
+  let app;
+  let close;
+  let admin;
+  let developer;
+  let member;
+  let membersUrl;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+    admin = await signIn(app, ADMIN_EMAIL);
+    developer = await signIn(app, DEVELOPER_EMAIL);
+    member = await createTestUser(app, admin.token, {
+      name: "New Member",
+      email: "member@test.local",
+    });
+    membersUrl = `/api/projects/${await projectIdByTitle(
+      app,
+      "Active Project"
+    )}/members`;
+  });
+
+  after(() => close());
+
+  async function roles() {
+    const res = await request(app).get(membersUrl).expect(200);
+    return Object.fromEntries(res.body.map((row) => [row.user_id, row.role]));
+  }
+
+  it("lets the owner add members and change their role", async () => {
+    await request(app)
+      .post(membersUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ user_id: member.id })
+      .expect(201);
+    assert.deepEqual(await roles(), {
+      [developer.id]: "owner",
+      [member.id]: "contributor",
+    });
+
+    await request(app)
+      .patch(`${membersUrl}/${member.id}`)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ role: "viewer" })
+      .expect(200);
+    assert.equal((await roles())[member.id], "viewer");
+  });
+
+  it("rejects adding a member twice", async () => {
+    const res = await request(app)
+      .post(membersUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ user_id: member.id, role: "contributor" })
+      .expect(409);
+    assert.equal(res.body.error.fields[0].field, "user_id");
+  });
+
+  it("forbids members who aren't owners from managing members", async () => {
+    const res = await request(app)
+      .post(membersUrl)
+      .set("Authorization", `Bearer ${member.token}`)
+      .send({ user_id: admin.id })
+      .expect(403);
+    assert.equal(res.body.error.code, "forbidden");
+
+    await request(app)
+      .patch(`${membersUrl}/${member.id}`)
+      .set("Authorization", `Bearer ${member.token}`)
+      .send({ role: "owner" })
+      .expect(403);
+  });
+
+  it("keeps the primary owner an owner", async () => {
+    await request(app)
+      .patch(`${membersUrl}/${developer.id}`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ role: "viewer" })
+      .expect(409);
+    await request(app)
+      .delete(`${membersUrl}/${developer.id}`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(409);
+  });
+
+  it("lets a member leave", async () => {
+    await request(app)
+      .delete(`${membersUrl}/${member.id}`)
+      .set("Authorization", `Bearer ${member.token}`)
+      .expect(200);
+    assert.deepEqual(await roles(), { [developer.id]: "owner" });
+
+    await request(app)
+      .delete(`${membersUrl}/${member.id}`)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .expect(404);
+  });
+
+  it("rejects a user that does not exist", async () => {
+    const res = await request(app)
+      .post(membersUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ user_id: 999999 })
+      .expect(422);
+    assert.equal(res.body.error.code, "invalid_reference");
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp, createUnreachableApp } = require("./helpers");
+
+describe("GET /metrics", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+  });
+
+  after(() => close());
+
+  it("counts requests and their latency per route pattern", async () => {
+    await request(app).get("/api/users/1").expect(200);
+    await request(app).get("/api/users/999").expect(404);
+
+    const res = await request(app).get("/metrics").expect(200);
+
+    assert.match(res.headers["content-type"], /^text\/plain/);
+    assert.match(
+      res.text,
+      /^http_requests_total\{method="GET",route="\/api\/users\/:id",status="200"\} 1$/m
+    );
+    assert.match(
+      res.text,
+      /^http_request_duration_seconds_count\{method="GET",route="\/api\/users\/:id",status="404"\} 1$/m
+    );
+  });
+
+  it("times queries per statement and reports the pool", async () => {
+    await request(app).get("/api/stats").expect(200);
+
+    const res = await request(app).get("/metrics").expect(200);
+
+    assert.match(
+      res.text,
+      /^db_query_duration_seconds_count\{statement="SELECT \(SELECT COUNT\(\*\) FROM users\) as total_users, [^"]*",outcome="ok"\} \d+$/m
+    );
+    assert.match(res.text, /^db_up 1$/m);
+    assert.match(res.text, /^db_pool_connections\{state="idle"\} \d+$/m);
+    assert.match(res.text, /^db_pool_queued_requests 0$/m);
+  });
+
+  it("reports the dashboard counters", async () => {
+    const res = await request(app).get("/metrics").expect(200);
+
+    assert.match(res.text, /^app_users\{role="admin"\} 1$/m);
+    assert.match(res.text, /^app_projects\{status="completed"\} 1$/m);
+    assert.match(res.text, /^app_projects\{status="in-progress"\} 1$/m);
+  });
+});
+
+describe("GET /metrics without a database", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await createUnreachableApp({
+      env: { METRICS_TOKEN: "scrape-token" },
+    }));
+  });
+
+  after(() => close());
+
+  it("requires the configured token", async () => {
+    await request(app).get("/metrics").expect(401);
+    await request(app)
+      .get("/metrics")
+      .set("Authorization", "Bearer wrong-token")
+      .expect(401);
+  });
+
+  it("reports the database as down and leaves out the counters", async () => {
+    const res = await request(app)
+      .get("/metrics")
+      .set("Authorization", "Bearer scrape-token")
+      .expect(200);
+
+    assert.match(res.text, /^db_up 0$/m);
+    assert.doesNotMatch(res.text, /^app_projects\{/m);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  TEST_PASSWORD,
+  ADMIN_EMAIL,
+  createTestApp,
+  createUnreachableApp,
+} = require("./helpers");
+
+describe("pages", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+  });
+
+  after(() => close());
+
+  it("renders the home page with live statistics and recent projects", async () => {
+    const res = await request(app).get("/").expect(200);
+
+    assert.match(res.type, /html/);
+    assert.match(res.text, /Discover Something Amazing On Graphit software/);
+    assert.match(res.text, /Finished Project/);
+    assert.doesNotMatch(res.text, /Database connection issue/);
+  });
+
+  it("sends anonymous visitors of the dashboard to the login page", async () => {
+    const res = await request(app).get("/dashboard").expect(302);
+
+    assert.equal(res.headers.location, "/login?next=%2Fdashboard");
+  });
+
+  it("renders the dashboard once signed in", async () => {
+    const agent = request.agent(app);
+    await agent
+      .post("/login")
+      .type("form")
+      .send({ email: ADMIN_EMAIL, password: TEST_PASSWORD, next: "/dashboard" })
+      .expect(303)
+      .expect("Location", "/dashboard");
+
+    const res = await agent.get("/dashboard").expect(200);
+
+    assert.match(res.text, /Test Admin/);
+    assert.match(res.text, /Active Project/);
+  });
+
+  it("never redirects off-site after signing in", async () => {
+    for (const next of [
+      "//evil.example",
+      "/\\evil.example",
+      "/\t/evil.example",
+    ]) {
+      await request(app)
+        .post("/login")
+        .type("form")
+        .send({ email: ADMIN_EMAIL, password: TEST_PASSWORD, next })
+        .expect(303)
+        .expect("Location", "/dashboard");
+    }
+  });
+
+  it("rejects a wrong password on the login page", async () => {
+    const res = await request(app)
+      .post("/login")
+      .type("form")
+      .send({ email: ADMIN_EMAIL, password: "not-the-password" })
+      .expect(401);
+
+    assert.match(res.text, /Invalid email or password/);
+  });
+
+  it("answers unknown pages with a 404 page", async () => {
+    const res = await request(app).get("/no-such-page").expect(404);
+
+    assert.match(res.text, /404 - Page Not Found/);
+  });
+
+  it("answers unknown /api routes with a JSON 404", async () => {
+    const res = await request(app).get("/api/no-such-route").expect(404);
+
+    assert.deepEqual(res.body, {
+      error: { code: "not_found", message: "Not found", fields: [] },
+    });
+  });
+
+  it("tags responses with a request id, keeping a well-formed one it is sent", async () => {
+    const generated = await request(app).get("/healthz").expect(200);
+    assert.match(generated.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+
+    const kept = await request(app)
+      .get("/healthz")
+      .set("X-Request-Id", "trace-1234")
+      .expect(200);
+    assert.equal(kept.headers["x-request-id"], "trace-1234");
+
+    const replaced = await request(app)
+      .get("/healthz")
+      .set("X-Request-Id", "not a valid id")
+      .expect(200);
+    assert.notEqual(replaced.headers["x-request-id"], "not a valid id");
+  });
+
+  it("reports liveness", async () => {
+    const res = await request(app).get("/healthz").expect(200);
+
+    assert.equal(res.body.status, "ok");
+  });
+});
+
+describe("pages without a database", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await createUnreachableApp());
+  });
+
+  after(() => close());
+
+  it("falls back to the static home page", async () => {
+    const res = await request(app).get("/").expect(200);
+
+    assert.match(res.text, /Database connection issue/);
+    assert.doesNotMatch(res.text, /\/js\/home\.js/);
+  });
+
+  it("fails /api requests fast with a 503", async () => {
+    const res = await request(app).get("/api/stats").expect(503);
+
+    assert.equal(res.body.error.code, "service_unavailable");
+    assert.ok(Number(res.headers["retry-after"]) >= 1);
+  });
+
+  it("reports the database as not ready", async () => {
+    const res = await request(app).get("/readyz").expect(503);
+
+    assert.equal(res.body.checks.database.status, "error");
+  });
+});
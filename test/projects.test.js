@@ -0,0 +1,313 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  createTestApp,
+  signIn,
+  projectIdByTitle,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+} = require("./helpers");
+
+describe("/api/projects", () => {
+  let app;
+  let close;
+  let admin;
+  let developer;
+  let planningId;
+  let activeId;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+    admin = await signIn(app, ADMIN_EMAIL);
+    developer = await signIn(app, DEVELOPER_EMAIL);
+    planningId = await projectIdByTitle(app, "Planning Project");
+    activeId = await projectIdByTitle(app, "Active Project");
+  });
+
+  after(() => close());
+
+  async function createProject(user, title) {
+    const res = await request(app)
+      .post("/api/projects")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title, user_id: user.id })
+      .expect(200);
+    return res.body.id;
+  }
+
+  describe("PUT and PATCH /api/projects/:id", () => {
+    it("replaces every field of a project", async () => {
+      await request(app)
+        .put(`/api/projects/${planningId}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({
+          title: "Replanned Project",
+          description: "Rewritten",
+          user_id: admin.id,
+          status: "planning",
+        })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/projects/${planningId}`)
+        .expect(200);
+      assert.equal(res.body.title, "Replanned Project");
+      assert.equal(res.body.description, "Rewritten");
+    });
+
+    it("requires every field for PUT", async () => {
+      const res = await request(app)
+        .put(`/api/projects/${planningId}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({ title: "Only A Title" })
+        .expect(400);
+
+      assert.deepEqual(res.body.error.fields.map(({ field }) => field).sort(), [
+        "status",
+        "user_id",
+      ]);
+    });
+
+    it("lets an owner change their own project", async () => {
+      await request(app)
+        .patch(`/api/projects/${activeId}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ description: "Updated by its owner" })
+        .expect(200);
+    });
+
+    it("forbids changing someone else's project", async () => {
+      for (const method of ["put", "patch"]) {
+        const res = await request(app)
+          [method](`/api/projects/${planningId}`)
+          .set("Authorization", `Bearer ${developer.token}`)
+          .send({
+            title: "Taken Over",
+            description: "",
+            user_id: developer.id,
+            status: "planning",
+          })
+          .expect(403);
+
+        assert.equal(res.body.error.code, "forbidden");
+      }
+    });
+
+    it("requires authentication", async () => {
+      await request(app)
+        .patch(`/api/projects/${planningId}`)
+        .send({ title: "Anonymous" })
+        .expect(401);
+    });
+  });
+
+  describe("POST /api/projects/:id/transition", () => {
+    it("moves a project along the workflow and stamps it", async () => {
+      const id = await createProject(developer, "Transitioned Project");
+
+      const started = await request(app)
+        .post(`/api/projects/${id}/transition`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ status: "in-progress" })
+        .expect(200);
+      assert.equal(started.body.status, "in-progress");
+      assert.ok(started.body.started_at);
+      assert.equal(started.body.completed_at, null);
+
+      const completed = await request(app)
+        .post(`/api/projects/${id}/transition`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ status: "completed" })
+        .expect(200);
+      assert.ok(completed.body.completed_at);
+    });
+
+    it("rejects moves the workflow doesn't allow", async () => {
+      const id = await createProject(developer, "Skipping Project");
+
+      const res = await request(app)
+        .post(`/api/projects/${id}/transition`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ status: "completed" })
+        .expect(409);
+      assert.equal(res.body.error.code, "conflict");
+    });
+
+    it("checks the permission the transition requires", async () => {
+      const finishedId = await projectIdByTitle(app, "Finished Project");
+
+      // Reopening a completed project as planning needs projects:manage,
+      // which even its owner lacks
+      const res = await request(app)
+        .post(`/api/projects/${finishedId}/transition`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ status: "planning" })
+        .expect(403);
+      assert.equal(res.body.error.code, "forbidden");
+
+      await request(app)
+        .post(`/api/projects/${planningId}/transition`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ status: "in-progress" })
+        .expect(403);
+    });
+  });
+
+  describe("POST /api/projects/import", () => {
+    it("imports a JSON array, stamping projects past planning", async () => {
+      const res = await request(app)
+        .post("/api/projects/import")
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send([
+          { title: "Imported Plan", user_id: developer.id },
+          { title: "Imported Work", status: "in-progress", user_id: admin.id },
+        ])
+        .expect(201);
+      assert.equal(res.body.imported, 2);
+
+      const project = await request(app)
+        .get(`/api/projects/${res.body.ids[1]}`)
+        .expect(200);
+      assert.equal(project.body.status, "in-progress");
+      assert.ok(project.body.started_at);
+    });
+
+    it("imports CSV with owners given by email", async () => {
+      const res = await request(app)
+        .post("/api/projects/import")
+        .set("Authorization", `Bearer ${developer.token}`)
+        .set("Content-Type", "text/csv")
+        .send(
+          `title,status,owner_email\r\nImported From CSV,completed,${DEVELOPER_EMAIL}\r\n`
+        )
+        .expect(201);
+
+      const project = await request(app)
+        .get(`/api/projects/${res.body.ids[0]}`)
+        .expect(200);
+      assert.equal(project.body.user_id, developer.id);
+      assert.ok(project.body.completed_at);
+    });
+
+    it("lists each invalid row and imports nothing", async () => {
+      const stats = await request(app).get("/api/stats").expect(200);
+
+      const res = await request(app)
+        .post("/api/projects/import")
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send([
+          { title: "Valid Row", user_id: developer.id },
+          { title: "", user_id: developer.id },
+          { title: "Someone Else's", user_id: admin.id },
+        ])
+        .expect(400);
+      assert.deepEqual(
+        res.body.error.fields.map(({ field }) => field),
+        ["rows[2].title", "rows[3].user_id"]
+      );
+
+      const unchanged = await request(app).get("/api/stats").expect(200);
+      assert.equal(unchanged.body.total_projects, stats.body.total_projects);
+    });
+
+    it("requires authentication", async () => {
+      await request(app)
+        .post("/api/projects/import")
+        .send([{ title: "Anonymous", user_id: 1 }])
+        .expect(401);
+    });
+  });
+
+  describe("GET /api/projects/export", () => {
+    it("streams matching projects as CSV", async () => {
+      const res = await request(app)
+        .get("/api/projects/export?status=completed&sort=id")
+        .expect(200);
+
+      assert.match(res.headers["content-type"], /^text\/csv/);
+      assert.match(res.headers["content-disposition"], /projects-.*\.csv/);
+      const [header, first] = res.text.split("\r\n");
+      assert.equal(
+        header,
+        "id,title,description,status,user_id,owner_name,owner_email,started_at,completed_at,created_at"
+      );
+      assert.match(first, /,Finished Project,/);
+    });
+
+    it("streams JSON on request", async () => {
+      const res = await request(app)
+        .get("/api/projects/export?format=json&status=planning")
+        .expect(200);
+
+      const rows = JSON.parse(res.text);
+      assert.ok(rows.every((row) => row.status === "planning"));
+    });
+
+    it("rejects an unknown format", async () => {
+      const res = await request(app)
+        .get("/api/projects/export?format=xml")
+        .expect(400);
+      assert.equal(res.body.error.fields[0].field, "format");
+    });
+  });
+
+  describe("GET /api/projects/:id/activity", () => {
+    it("lists a project's history with summaries", async () => {
+      const id = await createProject(developer, "Tracked Project");
+      await request(app)
+        .patch(`/api/projects/${id}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ title: "Renamed Project" })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/projects/${id}/activity`)
+        .expect(200);
+      assert.deepEqual(
+        res.body.data.map(({ action }) => action),
+        ["updated", "created"]
+      );
+      assert.equal(
+        res.body.data[0].summary,
+        "Test Developer updated the title of “Renamed Project”"
+      );
+    });
+
+    it("returns a 404 for a project that never existed", async () => {
+      await request(app).get("/api/projects/999999/activity").expect(404);
+    });
+  });
+
+  describe("DELETE /api/projects/:id", () => {
+    it("forbids deleting someone else's project", async () => {
+      const res = await request(app)
+        .delete(`/api/projects/${planningId}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .expect(403);
+      assert.equal(res.body.error.code, "forbidden");
+    });
+
+    it("deletes a project, keeping its history", async () => {
+      const id = await createProject(developer, "Doomed Project");
+
+      await request(app)
+        .delete(`/api/projects/${id}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .expect(200);
+
+      await request(app).get(`/api/projects/${id}`).expect(404);
+      const activity = await request(app)
+        .get(`/api/projects/${id}/activity`)
+        .expect(200);
+      assert.equal(activity.body.data[0].action, "deleted");
+    });
+
+    it("returns a 404 for an unknown project", async () => {
+      await request(app)
+        .delete("/api/projects/999999")
+        .set("Authorization", `Bearer ${admin.token}`)
+        .expect(404);
+    });
+  });
+});
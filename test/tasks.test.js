@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  createTestApp,
+  signIn,
+  createTestUser,
+  projectIdByTitle,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+} = require("./helpers");
+
+describe("/api/projects/:id/tasks", () => {
+  let app;
+  let close;
+  let developer;
+  let outsider;
+  let tasksUrl;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+    const admin = await signIn(app, ADMIN_EMAIL);
+    developer = await signIn(app, DEVELOPER_EMAIL);
+    outsider = await createTestUser(app, admin.token, {
+      name: "Not A Member",
+      email: "outsider@test.local",
+    });
+    tasksUrl = `/api/projects/${await projectIdByTitle(
+      app,
+      "Active Project"
+    )}/tasks`;
+  });
+
+  after(() => close());
+
+  async function createTask(values) {
+    const res = await request(app)
+      .post(tasksUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send(values)
+      .expect(201);
+    return res.body.id;
+  }
+
+  it("creates, reads, updates and deletes a task", async () => {
+    const id = await createTask({
+      title: "Write the tests",
+      priority: "high",
+      due_date: "2024-02-29",
+    });
+
+    const created = await request(app).get(`${tasksUrl}/${id}`).expect(200);
+    assert.equal(created.body.title, "Write the tests");
+    assert.equal(created.body.status, "todo");
+    assert.equal(created.body.priority, "high");
+
+    await request(app)
+      .patch(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ status: "done" })
+      .expect(200);
+    const list = await request(app).get(`${tasksUrl}?status=done`).expect(200);
+    assert.deepEqual(
+      list.body.data.map((task) => task.id),
+      [id]
+    );
+
+    await request(app)
+      .delete(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .expect(200);
+    await request(app).get(`${tasksUrl}/${id}`).expect(404);
+  });
+
+  it("forbids writes by users who aren't members", async () => {
+    const id = await createTask({ title: "Members only" });
+
+    const created = await request(app)
+      .post(tasksUrl)
+      .set("Authorization", `Bearer ${outsider.token}`)
+      .send({ title: "Gatecrashing" })
+      .expect(403);
+    assert.equal(created.body.error.code, "forbidden");
+
+    await request(app)
+      .patch(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${outsider.token}`)
+      .send({ title: "Renamed" })
+      .expect(403);
+    await request(app)
+      .delete(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${outsider.token}`)
+      .expect(403);
+  });
+
+  it("lets an assignee change only the status of their task", async () => {
+    const id = await createTask({
+      title: "Assigned out",
+      assignee_id: outsider.id,
+    });
+
+    await request(app)
+      .patch(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${outsider.token}`)
+      .send({ status: "in-progress" })
+      .expect(200);
+    await request(app)
+      .patch(`${tasksUrl}/${id}`)
+      .set("Authorization", `Bearer ${outsider.token}`)
+      .send({ priority: "low" })
+      .expect(403);
+  });
+
+  it("rejects due dates that don't exist", async () => {
+    const res = await request(app)
+      .post(tasksUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ title: "Never due", due_date: "2024-02-31" })
+      .expect(400);
+    assert.deepEqual(res.body.error.fields, [
+      { field: "due_date", message: "must be a date in YYYY-MM-DD format" },
+    ]);
+  });
+
+  it("rejects an assignee that does not exist", async () => {
+    const res = await request(app)
+      .post(tasksUrl)
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ title: "Nobody's", assignee_id: 999999 })
+      .expect(422);
+    assert.equal(res.body.error.code, "invalid_reference");
+  });
+
+  it("returns a 404 for an unknown project", async () => {
+    await request(app).get("/api/projects/999999/tasks").expect(404);
+    await request(app)
+      .post("/api/projects/999999/tasks")
+      .set("Authorization", `Bearer ${developer.token}`)
+      .send({ title: "Lost" })
+      .expect(404);
+  });
+});
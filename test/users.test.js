@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  createTestApp,
+  signIn,
+  createTestUser,
+  ADMIN_EMAIL,
+  DEVELOPER_EMAIL,
+} = require("./helpers");
+
+describe("/api/users", () => {
+  let app;
+  let close;
+  let admin;
+  let developer;
+
+  before(async () => {
+    ({ app, close } = await createTestApp());
+    admin = await signIn(app, ADMIN_EMAIL);
+    developer = await signIn(app, DEVELOPER_EMAIL);
+  });
+
+  after(() => close());
+
+  describe("POST /api/users", () => {
+    it("creates a user who can sign in", async () => {
+      const user = await createTestUser(app, admin.token, {
+        name: "New Designer",
+        email: "designer@test.local",
+        role: "designer",
+      });
+
+      const res = await request(app).get(`/api/users/${user.id}`).expect(200);
+      assert.equal(res.body.name, "New Designer");
+      assert.equal(res.body.role, "designer");
+    });
+
+    it("rejects an email that is already in use", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({ name: "Duplicate", email: DEVELOPER_EMAIL })
+        .expect(409);
+      assert.equal(res.body.error.fields[0].field, "email");
+    });
+
+    it("validates the body", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({ name: "Short Password", email: "short@test", password: "x" })
+        .expect(400);
+      assert.deepEqual(res.body.error.fields.map(({ field }) => field).sort(), [
+        "email",
+        "password",
+      ]);
+    });
+
+    it("is limited to admins", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ name: "Sneaky", email: "sneaky@test.local" })
+        .expect(403);
+      assert.equal(res.body.error.code, "forbidden");
+    });
+  });
+
+  describe("GET /api/users/export", () => {
+    it("streams users as CSV", async () => {
+      const res = await request(app)
+        .get("/api/users/export?role=developer")
+        .expect(200);
+
+      assert.match(res.headers["content-type"], /^text\/csv/);
+      const [header, first, rest] = res.text.split("\r\n");
+      assert.equal(header, "id,name,email,role,active,created_at");
+      assert.match(first, /,developer@test\.local,/);
+      assert.equal(rest, "");
+    });
+  });
+
+  describe("GET /api/users/:id/projects", () => {
+    it("lists the projects a user is a member of", async () => {
+      const res = await request(app)
+        .get(`/api/users/${developer.id}/projects?sort=title`)
+        .expect(200);
+
+      assert.deepEqual(
+        res.body.data.map(({ title }) => title),
+        ["Active Project", "Finished Project"]
+      );
+    });
+
+    it("returns a 404 for an unknown user", async () => {
+      await request(app).get("/api/users/999999/projects").expect(404);
+    });
+  });
+
+  describe("PATCH /api/users/:id", () => {
+    it("updates any subset of a user's fields", async () => {
+      const user = await createTestUser(app, admin.token, {
+        name: "Renamed Later",
+        email: "rename@test.local",
+      });
+
+      await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({ name: "Renamed Now", active: false })
+        .expect(200);
+
+      const res = await request(app).get(`/api/users/${user.id}`).expect(200);
+      assert.equal(res.body.name, "Renamed Now");
+      assert.equal(Boolean(res.body.active), false);
+
+      // A deactivated user's tokens stop working
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(401);
+    });
+
+    it("is limited to admins", async () => {
+      await request(app)
+        .patch(`/api/users/${admin.id}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .send({ role: "developer" })
+        .expect(403);
+    });
+
+    it("returns a 404 for an unknown user", async () => {
+      await request(app)
+        .patch("/api/users/999999")
+        .set("Authorization", `Bearer ${admin.token}`)
+        .send({ name: "Nobody" })
+        .expect(404);
+    });
+  });
+
+  describe("DELETE /api/users/:id", () => {
+    it("refuses to delete a project owner without reassign_to", async () => {
+      const res = await request(app)
+        .delete(`/api/users/${developer.id}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .expect(409);
+      assert.equal(res.body.error.code, "conflict");
+    });
+
+    it("reassigns the user's projects and signs them out", async () => {
+      const user = await createTestUser(app, admin.token, {
+        name: "Leaving Soon",
+        email: "leaving@test.local",
+      });
+      const project = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ title: "Left Behind", user_id: user.id })
+        .expect(200);
+
+      const res = await request(app)
+        .delete(`/api/users/${user.id}?reassign_to=${admin.id}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .expect(200);
+      assert.equal(res.body.reassigned_projects, 1);
+
+      const reassigned = await request(app)
+        .get(`/api/projects/${project.body.id}`)
+        .expect(200);
+      assert.equal(reassigned.body.user_id, admin.id);
+      await request(app).get(`/api/users/${user.id}`).expect(404);
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(401);
+    });
+
+    it("rejects reassigning projects to the user being deleted", async () => {
+      const res = await request(app)
+        .delete(`/api/users/${developer.id}?reassign_to=${developer.id}`)
+        .set("Authorization", `Bearer ${admin.token}`)
+        .expect(400);
+      assert.equal(res.body.error.fields[0].field, "reassign_to");
+    });
+
+    it("is limited to admins", async () => {
+      await request(app)
+        .delete(`/api/users/${admin.id}`)
+        .set("Authorization", `Bearer ${developer.token}`)
+        .expect(403);
+    });
+  });
+});